@@ -13,14 +13,167 @@ const CONFIG = {
     REFERRALS: '/referrals',
     COUPONS: '/coupons'
     // Note: /payments endpoint doesn't exist in UpPromote API
-    // Payment data can be found in referrals with status 'paid'
+    // Payment data can be found in referrals with status 'paid' (see the Payouts sheet)
+  },
+  // Raw epoch field used as the incremental sync watermark for each endpoint
+  WATERMARK_FIELDS: {
+    AFFILIATES: 'created_at_timestamp',
+    REFERRALS: 'created_at',
+    COUPONS: 'created_timestamp'
+  },
+  // Query parameter asking the API for records created on or after a date. UpPromote does not
+  // document it, so it is only a hint: records at or before the watermark are also dropped
+  // client-side (SyncStateManager.filterNewRecords). Set to '' to send no date filter at all
+  INCREMENTAL_PARAM: 'from_date',
+  // Flag rows that no longer come back from a full pull in a "Sync Status" column
+  MARK_REMOVED_ROWS: true,
+  // Stop and schedule a continuation before the six-minute execution limit
+  MAX_RUNTIME_MS: 5 * 60 * 1000,
+  RESUME_DELAY_MS: 60 * 1000,
+  // Records buffered before each sheet write and checkpoint
+  WRITE_BATCH_SIZE: 500,
+  // Pages requested at once with UrlFetchApp.fetchAll once the page count is known
+  FETCH_CONCURRENCY: 5,
+  // Pause between sequential requests or concurrent batches
+  REQUEST_DELAY_MS: 1000,
+  // Per-page retries for 429/5xx responses and transient network errors
+  MAX_RETRIES: 3,
+  RETRY_BASE_DELAY_MS: 1000,
+  RETRY_MAX_DELAY_MS: 60 * 1000,
+  // Abort the whole run after this many consecutive failed requests
+  CIRCUIT_BREAKER_THRESHOLD: 8,
+  // Group paid referrals in the Payouts sheet by 'month' or 'week' of the referral date
+  PAYOUT_PERIOD: 'month',
+  // Currency of the store's amounts, used for the currency number format of amount columns
+  // and as the source currency when converting to the reporting currency
+  STORE_CURRENCY: 'USD',
+  // Currency that reports convert to with the dated rates in the Rates sheet
+  REPORTING_CURRENCY: 'USD',
+  // Payout batch export (exportPayoutBatch): affiliates owed less than the minimum wait for a later batch.
+  // The minimum and the payout files are in the store's currency.
+  MIN_PAYOUT_AMOUNT: 50,
+  // Drive folder for payout files; leave empty to use My Drive
+  PAYOUT_FOLDER_ID: '',
+  // How long UPPROMOTE_* spreadsheet functions reuse an API result (CacheService allows up to 6 hours)
+  CUSTOM_FUNCTION_CACHE_SECONDS: 60 * 60,
+  // Google stops custom functions after 30 seconds, so their API lookups stop paging before that
+  CUSTOM_FUNCTION_DEADLINE_MS: 25 * 1000,
+  // Where failed, partial and repeatedly failing syncs are reported (ErrorReporter.sendToMonitoring), e.g.
+  // { type: 'email', to: 'ops@example.com' } or { type: 'webhook', url: '...', format: 'text' | 'json' }
+  NOTIFICATION_CHANNELS: [],
+  // The same problem is sent again at most once per this many hours
+  NOTIFICATION_DEDUP_HOURS: 6,
+  // Consecutive failed or partial runs before a repeated-failure notification
+  REPEATED_FAILURE_THRESHOLD: 3,
+  // Largest difference between recorded and expected commission that still reconciles
+  RECONCILIATION_TOLERANCE: 0.01,
+  // Referral risk scoring: points added by each check (the score is capped at 100)
+  // Pending referrals scoring REVIEW_THRESHOLD or more are listed in the Review Queue sheet
+  RISK_SCORING: {
+    REVIEW_THRESHOLD: 50,
+    SELF_REFERRAL: { points: 60 },
+    REPEAT_CUSTOMER: { points: 25, orders: 3 },
+    OUTLIER: { points: 20, multiple: 5, minReferrals: 10 },
+    REFUND_RATIO: { points: 20, ratio: 0.3, minOrders: 5 },
+    NEW_AFFILIATE_CLUSTER: { points: 30, hours: 48, orders: 3 }
+  },
+  // Business alerts checked after each complete enhanced sync (see the Alerts sheet)
+  // threshold: percent change from the trailing average of the previous `days` days, an order count
+  // per affiliate per day, or a refund rate in percent over the last `days` days
+  ALERT_RULES: [
+    { rule: 'referral_volume', threshold: 50, days: 28 },
+    { rule: 'commission_total', threshold: 50, days: 28 },
+    { rule: 'affiliate_daily_orders', threshold: 20 },
+    { rule: 'refund_rate', threshold: 15, days: 30, minOrders: 20 },
+    { rule: 'affiliate_signups', threshold: 200, days: 28 }
+  ],
+  // Webhook event names (doPost in Webhooks.js) and the sheet each one updates, by endpoint key
+  WEBHOOK_EVENTS: {
+    'referral.created': 'REFERRALS',
+    'referral.status_changed': 'REFERRALS',
+    'affiliate.created': 'AFFILIATES',
+    'affiliate.approved': 'AFFILIATES'
+  },
+  // Several stores in one deployment; empty for a single store using the settings above.
+  // Each profile: { name, currency, spreadsheetId or sheetPrefix, baseUrl, endpoints }. Only name and
+  // spreadsheetId or sheetPrefix are required; API keys are stored with setupStoreApiKey(), never here.
+  // e.g. { name: 'EU store', currency: 'EUR', sheetPrefix: 'EU ', endpoints: ['AFFILIATES', 'REFERRALS'] }
+  STORE_PROFILES: [],
+  // Actions available in the Referrals sheet "Action" column and the status each one leads to
+  REFERRAL_ACTIONS: {
+    'approve': { method: 'POST', path: '/referrals/{id}/approve', status: 'approved' },
+    'deny': { method: 'POST', path: '/referrals/{id}/deny', status: 'denied' },
+    'mark paid': { method: 'POST', path: '/referrals/{id}/mark-paid', status: 'paid' }
   }
 };
 
+// Default columns for each endpoint's sheet. The Columns sheet (setupColumnsSheet) overrides these.
+// source: field path in the API record; several paths joined with + are combined with spaces
+// type: text | number | currency | date-from-epoch | enum (values maps raw value to label)
+// default: shown when the field is empty, or when an enum value is not in the map
+const COLUMN_SCHEMAS = {
+  AFFILIATES: [
+    { source: 'id', header: 'ID', type: 'number' },
+    { source: 'email', header: 'Email' },
+    { source: 'first_name', header: 'First Name' },
+    { source: 'last_name', header: 'Last Name' },
+    { source: 'status', header: 'Status', type: 'enum', values: { 1: 'Active' }, default: 'Inactive' },
+    { source: 'email_verified', header: 'Email Verified', type: 'enum', values: { 1: 'Verified' }, default: 'Not Verified' },
+    { source: 'company', header: 'Company' },
+    { source: 'address', header: 'Address' },
+    { source: 'country', header: 'Country' },
+    { source: 'city', header: 'City' },
+    { source: 'state', header: 'State' },
+    { source: 'zipcode', header: 'Zipcode' },
+    { source: 'phone', header: 'Phone' },
+    { source: 'facebook', header: 'Facebook' },
+    { source: 'youtube', header: 'YouTube' },
+    { source: 'instagram', header: 'Instagram' },
+    { source: 'twitter', header: 'Twitter' },
+    { source: 'affiliate_link', header: 'Affiliate Link' },
+    { source: 'program_id', header: 'Program ID', type: 'number' },
+    { source: 'program_name', header: 'Program Name' },
+    { source: 'created_at_timestamp', header: 'Created At', type: 'date-from-epoch' }
+  ],
+  REFERRALS: [
+    { source: 'id', header: 'ID', type: 'number' },
+    { source: 'order_id', header: 'Order ID' },
+    { source: 'order_number', header: 'Order Number' },
+    { source: 'affiliate_id', header: 'Affiliate ID', type: 'number' },
+    { source: 'customer_id', header: 'Customer ID' },
+    { source: 'customer_email', header: 'Customer Email' },
+    { source: 'quantity', header: 'Quantity', type: 'number' },
+    { source: 'total_sales', header: 'Total Sales', type: 'currency' },
+    { source: 'commission', header: 'Commission', type: 'currency' },
+    { source: 'commission_adjustment', header: 'Commission Adjustment', type: 'currency' },
+    { source: 'status', header: 'Status' },
+    { source: 'commission_type', header: 'Commission Type' },
+    { source: 'commission_amount', header: 'Commission Amount', type: 'number' },
+    { source: 'refund_id', header: 'Refund ID' },
+    { source: 'tracking_type', header: 'Tracking Type' },
+    { source: 'affiliate.email', header: 'Affiliate Email' },
+    { source: 'affiliate.first_name+affiliate.last_name', header: 'Affiliate Name' },
+    { source: 'created_at', header: 'Created At', type: 'date-from-epoch' }
+  ],
+  COUPONS: [
+    { source: 'id', header: 'ID', type: 'number' },
+    { source: 'affiliate_id', header: 'Affiliate ID', type: 'number' },
+    { source: 'coupon', header: 'Coupon Code' },
+    { source: 'description', header: 'Description' },
+    { source: 'created_timestamp', header: 'Created At', type: 'date-from-epoch' }
+  ]
+};
+
 /**
  * Main function to pull all data from UpPromote API
+ * Only records newer than the stored watermarks are fetched and merged in,
+ * unless options.fullResync is set (see fullResyncUpPromoteData).
+ * Long pulls stop before the execution limit and resume from a checkpoint.
  */
-function pullUpPromoteData() {
+function pullUpPromoteData(options) {
+  const startedAt = new Date();
+  let sync = null;
+  
   try {
     // Check if API key is configured
     if (!CONFIG.API_KEY) {
@@ -29,250 +182,220 @@ function pullUpPromoteData() {
     
     // Get or create the spreadsheet
     const spreadsheet = getOrCreateSpreadsheet();
+    sync = new ResumableSync('pullUpPromoteData', !!(options && options.fullResync));
     
-    // Pull data from different endpoints
-    pullAffiliatesData(spreadsheet);
-    pullReferralsData(spreadsheet);
-    pullCouponsData(spreadsheet);
+    // Pull data from the endpoints enabled in the settings sidebar
+    if (SyncSettings.isEndpointEnabled('AFFILIATES')) pullAffiliatesData(spreadsheet, sync);
+    if (SyncSettings.isEndpointEnabled('REFERRALS')) pullReferralsData(spreadsheet, sync);
+    if (SyncSettings.isEndpointEnabled('COUPONS')) pullCouponsData(spreadsheet, sync);
     
-    Logger.log('Data pull completed successfully');
+    const status = sync.close();
+    SyncLog.record({ pipeline: 'pullUpPromoteData', options: options, startedAt: startedAt, sync: sync, status: status });
+    if (status.state === 'in_progress') {
+      Logger.log('Data pull paused - it will resume automatically');
+      return;
+    }
     
+    Logger.log('Data pull completed successfully');
+  
   } catch (error) {
     Logger.log('Error pulling data: ' + error.toString());
+    SyncLog.record({ pipeline: 'pullUpPromoteData', options: options, startedAt: startedAt, sync: sync, error: error });
     throw error;
   }
 }
 
 /**
- * Get or create the main spreadsheet
+ * Rebuild every sheet from scratch, ignoring the stored watermarks
  */
-function getOrCreateSpreadsheet() {
-  const activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
-  if (activeSpreadsheet) {
-    return activeSpreadsheet;
-  }
-  
-  // Create new spreadsheet if none is active
-  const newSpreadsheet = SpreadsheetApp.create(CONFIG.SHEET_NAME);
-  Logger.log('Created new spreadsheet: ' + newSpreadsheet.getUrl());
-  return newSpreadsheet;
+function fullResyncUpPromoteData() {
+  pullUpPromoteData({ fullResync: true });
 }
 
 /**
- * Make API request to UpPromote with pagination support
+ * Continuation trigger handler that resumes an interrupted pull from its checkpoint
  */
-function makeApiRequest(endpoint, params = {}) {
-  const allData = [];
-  let page = 1;
-  let hasMoreData = true;
+function resumeUpPromoteSync() {
+  ResumableSync.deleteContinuationTriggers();
   
-  while (hasMoreData) {
-    const url = CONFIG.API_BASE_URL + endpoint;
-    
-    // Add pagination parameters
-    const paginationParams = {
-      ...params,
-      limit: 100, // Maximum allowed per request
-      page: page
-    };
-    
-    const queryString = Object.keys(paginationParams).length > 0 
-      ? '?' + Object.keys(paginationParams).map(key => `${key}=${encodeURIComponent(paginationParams[key])}`).join('&')
-      : '';
-    
-    const options = {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${CONFIG.API_KEY}`,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      }
-    };
-    
+  // Each store profile keeps its own checkpoint; null is the single-store setup
+  const pending = [null].concat(StoreProfiles.getAll()).filter(profile => StoreProfiles.run(profile, () => !!ResumableSync.getCheckpoint()));
+  if (pending.length === 0) {
+    Logger.log('No sync checkpoint found - nothing to resume');
+    return;
+  }
+  
+  let firstError = null;
+  pending.forEach(profile => {
     try {
-      Logger.log(`Fetching page ${page} from ${endpoint}...`);
-      
-      const response = UrlFetchApp.fetch(url + queryString, options);
-      const responseCode = response.getResponseCode();
-      
-      if (responseCode !== 200) {
-        throw new Error(`API request failed with status ${responseCode}: ${response.getContentText()}`);
-      }
-      
-      const responseData = JSON.parse(response.getContentText());
-      
-      // Add current page data to all data
-      if (responseData.data && responseData.data.length > 0) {
-        allData.push(...responseData.data);
-        Logger.log(`Page ${page}: Retrieved ${responseData.data.length} records`);
-        
-        // Check if there are more pages
-        if (responseData.meta) {
-          hasMoreData = responseData.meta.current_page < responseData.meta.last_page;
-        } else if (responseData.links && responseData.links.next) {
-          hasMoreData = true;
+      StoreProfiles.run(profile, () => {
+        if (ResumableSync.getCheckpoint().pipeline === 'pullUpPromoteDataEnhanced') {
+          pullUpPromoteDataEnhanced({ source: 'continuation' });
         } else {
-          hasMoreData = responseData.data.length === 100; // If we got max records, there might be more
-        }
-        
-        page++;
-        
-        // Add a small delay between requests to be respectful to the API
-        if (hasMoreData) {
-          Utilities.sleep(500); // 0.5 second delay between pages
+          pullUpPromoteData({ source: 'continuation' });
         }
-      } else {
-        hasMoreData = false;
-      }
-      
+      });
     } catch (error) {
-      Logger.log(`API request error for ${endpoint} (page ${page}): ${error.toString()}`);
-      throw error;
+      firstError = firstError || error;
     }
-  }
+  });
   
-  Logger.log(`Total records retrieved from ${endpoint}: ${allData.length}`);
-  return { data: allData };
+  if (pending.some(profile => profile !== null)) {
+    buildStoreSummary();
+  }
+  if (firstError) throw firstError;
+}
+
+/**
+ * Spreadsheet the active store writes its data to: its own spreadsheetId, otherwise the main spreadsheet
+ */
+function getOrCreateSpreadsheet() {
+  return StoreProfiles.getSpreadsheet() || StoreProfiles.getMainSpreadsheet();
+}
+
+/**
+ * Make API request to UpPromote with pagination support
+ * Uses ApiClient so both pipelines share paging, throttling and retries (see ApiClient.makeRequest)
+ */
+function makeApiRequest(endpoint, params = {}, paging = {}) {
+  const apiClient = new ApiClient(CONFIG.API_BASE_URL, CONFIG.API_KEY);
+  return apiClient.makeRequest(endpoint, params, paging);
+}
+
+/**
+ * Send a write request (POST, PUT, PATCH or DELETE) to UpPromote
+ * See ApiClient.request for the options and error handling
+ */
+function makeApiWriteRequest(method, endpoint, body = null, options = {}) {
+  const apiClient = new ApiClient(CONFIG.API_BASE_URL, CONFIG.API_KEY);
+  return apiClient.request(method, endpoint, body, options);
+}
+
+/**
+ * Column headers for the Affiliates sheet
+ */
+function getAffiliateHeaders() {
+  return ColumnSchema.forEndpoint('AFFILIATES').getHeaders();
+}
+
+/**
+ * Map an API affiliate record to a row of the Affiliates sheet
+ */
+function mapAffiliateRow(affiliate) {
+  return ColumnSchema.forEndpoint('AFFILIATES').mapRow(affiliate);
 }
 
 /**
  * Pull affiliates data
  */
-function pullAffiliatesData(spreadsheet) {
+function pullAffiliatesData(spreadsheet, sync) {
   Logger.log('Pulling affiliates data...');
   
   try {
-    const data = makeApiRequest(CONFIG.ENDPOINTS.AFFILIATES);
     const sheet = getOrCreateSheet(spreadsheet, 'Affiliates');
+    const headers = getAffiliateHeaders();
     
-    if (data && data.data && data.data.length > 0) {
-      const headers = [
-        'ID', 'Email', 'First Name', 'Last Name', 'Status', 'Email Verified',
-        'Company', 'Address', 'Country', 'City', 'State', 'Zipcode', 'Phone',
-        'Facebook', 'YouTube', 'Instagram', 'Twitter', 'Affiliate Link',
-        'Program ID', 'Program Name', 'Created At'
-      ];
-      
-      const rows = data.data.map(affiliate => [
-        affiliate.id || '',
-        affiliate.email || '',
-        affiliate.first_name || '',
-        affiliate.last_name || '',
-        affiliate.status === 1 ? 'Active' : 'Inactive',
-        affiliate.email_verified === 1 ? 'Verified' : 'Not Verified',
-        affiliate.company || '',
-        affiliate.address || '',
-        affiliate.country || '',
-        affiliate.city || '',
-        affiliate.state || '',
-        affiliate.zipcode || '',
-        affiliate.phone || '',
-        affiliate.facebook || '',
-        affiliate.youtube || '',
-        affiliate.instagram || '',
-        affiliate.twitter || '',
-        affiliate.affiliate_link || '',
-        affiliate.program_id || '',
-        affiliate.program_name || '',
-        affiliate.created_at_timestamp ? new Date(affiliate.created_at_timestamp * 1000).toLocaleString() : ''
-      ]);
-      
-      writeDataToSheet(sheet, headers, rows);
-      Logger.log(`Successfully pulled ${rows.length} affiliates`);
-    } else {
-      Logger.log('No affiliates data found');
-    }
+    return sync.runEndpoint('AFFILIATES', {
+      hasHeaders: sheetHasHeaders(sheet, headers),
+      fetchPages: (params, paging) => makeApiRequest(CONFIG.ENDPOINTS.AFFILIATES, params, paging),
+      writeRows: (records, lastSeen) => upsertDataToSheet(sheet, headers, records.map(mapAffiliateRow), { lastSeen: lastSeen, numberFormats: ColumnSchema.forEndpoint('AFFILIATES').getNumberFormats() }),
+      markRemoved: runStartedAt => SheetUpsertWriter.markRemoved(sheet, runStartedAt)
+    });
   } catch (error) {
+    if (error instanceof CircuitBreakerOpenError) throw error;
+    
     Logger.log('Error pulling affiliates data: ' + error.toString());
+    sync.failEndpoint('AFFILIATES', error);
+    return 0;
   }
 }
 
+/**
+ * Column headers for the Referrals sheet
+ */
+function getReferralHeaders() {
+  return ColumnSchema.forEndpoint('REFERRALS').getHeaders();
+}
+
+/**
+ * Map an API referral record to a row of the Referrals sheet
+ */
+function mapReferralRow(referral) {
+  return ColumnSchema.forEndpoint('REFERRALS').mapRow(referral);
+}
+
 /**
  * Pull referrals data
  */
-function pullReferralsData(spreadsheet) {
+function pullReferralsData(spreadsheet, sync) {
   Logger.log('Pulling referrals data...');
   
   try {
-    const data = makeApiRequest(CONFIG.ENDPOINTS.REFERRALS);
     const sheet = getOrCreateSheet(spreadsheet, 'Referrals');
+    const headers = getReferralHeaders();
     
-    if (data && data.data && data.data.length > 0) {
-      const headers = [
-        'ID', 'Order ID', 'Order Number', 'Affiliate ID', 'Customer ID', 
-        'Quantity', 'Total Sales', 'Commission', 'Commission Adjustment',
-        'Status', 'Commission Type', 'Commission Amount', 'Refund ID',
-        'Tracking Type', 'Affiliate Email', 'Affiliate Name', 'Created At'
-      ];
-      
-      const rows = data.data.map(referral => [
-        referral.id || '',
-        referral.order_id || '',
-        referral.order_number || '',
-        referral.affiliate_id || '',
-        referral.customer_id || '',
-        referral.quantity || '',
-        referral.total_sales || '',
-        referral.commission || '',
-        referral.commission_adjustment || '',
-        referral.status || '',
-        referral.commission_type || '',
-        referral.commission_amount || '',
-        referral.refund_id || '',
-        referral.tracking_type || '',
-        referral.affiliate ? referral.affiliate.email : '',
-        referral.affiliate ? `${referral.affiliate.first_name} ${referral.affiliate.last_name}` : '',
-        referral.created_at ? new Date(referral.created_at * 1000).toLocaleString() : ''
-      ]);
-      
-      writeDataToSheet(sheet, headers, rows);
-      Logger.log(`Successfully pulled ${rows.length} referrals`);
-    } else {
-      Logger.log('No referrals data found');
-    }
+    return sync.runEndpoint('REFERRALS', {
+      hasHeaders: sheetHasHeaders(sheet, headers),
+      fetchPages: (params, paging) => makeApiRequest(CONFIG.ENDPOINTS.REFERRALS, params, paging),
+      writeRows: (records, lastSeen) => upsertDataToSheet(sheet, headers, records.map(mapReferralRow), { lastSeen: lastSeen, numberFormats: ColumnSchema.forEndpoint('REFERRALS').getNumberFormats() }),
+      markRemoved: runStartedAt => SheetUpsertWriter.markRemoved(sheet, runStartedAt)
+    });
   } catch (error) {
+    if (error instanceof CircuitBreakerOpenError) throw error;
+    
     Logger.log('Error pulling referrals data: ' + error.toString());
+    sync.failEndpoint('REFERRALS', error);
+    return 0;
   }
 }
 
+/**
+ * Column headers for the Coupons sheet
+ */
+function getCouponHeaders() {
+  return ColumnSchema.forEndpoint('COUPONS').getHeaders();
+}
+
+/**
+ * Map an API coupon record to a row of the Coupons sheet
+ */
+function mapCouponRow(coupon) {
+  return ColumnSchema.forEndpoint('COUPONS').mapRow(coupon);
+}
+
 /**
  * Pull coupons data
  */
-function pullCouponsData(spreadsheet) {
+function pullCouponsData(spreadsheet, sync) {
   Logger.log('Pulling coupons data...');
   
   try {
-    const data = makeApiRequest(CONFIG.ENDPOINTS.COUPONS);
     const sheet = getOrCreateSheet(spreadsheet, 'Coupons');
+    const headers = getCouponHeaders();
     
-    if (data && data.data && data.data.length > 0) {
-      const headers = ['ID', 'Affiliate ID', 'Coupon Code', 'Description', 'Created At'];
-      
-      const rows = data.data.map(coupon => [
-        coupon.id || '',
-        coupon.affiliate_id || '',
-        coupon.coupon || '',
-        coupon.description || '',
-        coupon.created_timestamp ? new Date(coupon.created_timestamp * 1000).toLocaleString() : ''
-      ]);
-      
-      writeDataToSheet(sheet, headers, rows);
-      Logger.log(`Successfully pulled ${rows.length} coupons`);
-    } else {
-      Logger.log('No coupons data found');
-    }
+    return sync.runEndpoint('COUPONS', {
+      hasHeaders: sheetHasHeaders(sheet, headers),
+      fetchPages: (params, paging) => makeApiRequest(CONFIG.ENDPOINTS.COUPONS, params, paging),
+      writeRows: (records, lastSeen) => upsertDataToSheet(sheet, headers, records.map(mapCouponRow), { lastSeen: lastSeen, numberFormats: ColumnSchema.forEndpoint('COUPONS').getNumberFormats() }),
+      markRemoved: runStartedAt => SheetUpsertWriter.markRemoved(sheet, runStartedAt)
+    });
   } catch (error) {
+    if (error instanceof CircuitBreakerOpenError) throw error;
+    
     Logger.log('Error pulling coupons data: ' + error.toString());
+    sync.failEndpoint('COUPONS', error);
+    return 0;
   }
 }
 
 /**
- * Get or create a sheet with the given name
+ * Get or create a sheet with the given name, prefixed for the active store profile
  */
 function getOrCreateSheet(spreadsheet, sheetName) {
-  let sheet = spreadsheet.getSheetByName(sheetName);
+  const name = StoreProfiles.getSheetName(sheetName);
+  let sheet = spreadsheet.getSheetByName(name);
   if (!sheet) {
-    sheet = spreadsheet.insertSheet(sheetName);
+    sheet = spreadsheet.insertSheet(name);
   }
   return sheet;
 }
@@ -297,6 +420,49 @@ function writeDataToSheet(sheet, headers, rows) {
   sheet.autoResizeColumns(1, headers.length);
 }
 
+/**
+ * Merge rows into a sheet by ID, keeping user-added columns, notes and formulas
+ */
+function upsertDataToSheet(sheet, headers, rows, options = {}) {
+  const stats = SheetUpsertWriter.upsert(sheet, headers, rows, options);
+  sheet.getRange(1, 1, 1, sheet.getLastColumn()).setFontWeight('bold');
+  sheet.autoResizeColumns(1, sheet.getLastColumn());
+  return stats;
+}
+
+/**
+ * Check whether the header row of a sheet contains all the given headers
+ */
+function sheetHasHeaders(sheet, headers) {
+  if (sheet.getLastRow() === 0) {
+    return false;
+  }
+  
+  const existingHeaders = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  return headers.every(header => existingHeaders.indexOf(header) !== -1);
+}
+
+/**
+ * Read a sheet's data rows as objects keyed by header, with their 1-based row numbers
+ */
+function readSheetRecords(sheet) {
+  if (!sheet || sheet.getLastRow() < 2) {
+    return [];
+  }
+  
+  const values = sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+  const headers = values.shift();
+  return values.map((row, index) => {
+    const record = { rowNumber: index + 2 };
+    headers.forEach((header, column) => {
+      if (header !== '') {
+        record[header] = row[column];
+      }
+    });
+    return record;
+  });
+}
+
 /**
  * Set up automated trigger to run data pull periodically
  */
@@ -315,17 +481,19 @@ function setupTrigger() {
     .everyDays(1)
     .atHour(9) // 9 AM
     .create();
-    
+  
   Logger.log('Daily trigger set up to run at 9 AM');
 }
 
 /**
- * Remove all triggers
+ * Remove all triggers, including a pending continuation of a paused sync
+ * A paused sync keeps its checkpoint and carries on at the next pull
  */
 function removeTriggers() {
   const triggers = ScriptApp.getProjectTriggers();
   triggers.forEach(trigger => {
-    if (trigger.getHandlerFunction() === 'pullUpPromoteData') {
+    const handler = trigger.getHandlerFunction();
+    if (handler === 'pullUpPromoteData' || handler === 'pullUpPromoteDataEnhanced' || handler === 'syncAllStores' || handler === ResumableSync.RESUME_HANDLER) {
       ScriptApp.deleteTrigger(trigger);
     }
   });
@@ -0,0 +1,139 @@
+/**
+ * Spreadsheet custom functions for UpPromote data
+ * Results are cached for CONFIG.CUSTOM_FUNCTION_CACHE_SECONDS so recalculation does not hit the API
+ */
+
+/**
+ * Returns a field of an UpPromote affiliate, looked up by ID or email.
+ *
+ * @param {string|number} idOrEmail Affiliate ID or email address
+ * @param {string} field API field name, e.g. "first_name", "status" or "program_name"
+ * @return The field value, or an empty string if the affiliate has no such field
+ * @customfunction
+ */
+function UPPROMOTE_AFFILIATE(idOrEmail, field) {
+  if (idOrEmail === '' || idOrEmail === undefined || !field) {
+    throw new Error('UPPROMOTE_AFFILIATE needs an affiliate ID or email and a field name');
+  }
+  
+  const affiliate = FunctionResultCache.getOrCompute('affiliate', [String(idOrEmail).trim().toLowerCase()], () => fetchAffiliateByIdOrEmail(idOrEmail));
+  if (!affiliate) {
+    throw new Error(`Affiliate ${idOrEmail} not found`);
+  }
+  
+  const value = ColumnSchema.getPath(affiliate, String(field).trim());
+  return value === undefined || value === null ? '' : value;
+}
+
+/**
+ * Returns an affiliate's total sales from referrals created between two dates, excluding refunded orders.
+ *
+ * @param {number} affiliateId Affiliate ID
+ * @param {Date|string} from First day to include (optional)
+ * @param {Date|string} to Last day to include (optional)
+ * @return Total sales amount
+ * @customfunction
+ */
+function UPPROMOTE_SALES(affiliateId, from, to) {
+  const range = getCustomFunctionDateRange(from, to);
+  return FunctionResultCache.getOrCompute('sales', [String(affiliateId), range.from, range.to], () => {
+    return fetchAffiliateReferrals(affiliateId, range)
+      .filter(referral => !referral.refund_id && String(referral.status || '').toLowerCase().indexOf('refund') === -1)
+      .reduce((total, referral) => total + DataFormatter.parseAmount(referral.total_sales), 0);
+  });
+}
+
+/**
+ * Returns an affiliate's commission (including adjustments) from referrals created between two dates.
+ *
+ * @param {number} affiliateId Affiliate ID
+ * @param {string} status Referral status to include, e.g. "approved" or "paid"; blank for all
+ * @param {Date|string} from First day to include (optional)
+ * @param {Date|string} to Last day to include (optional)
+ * @return Total commission amount
+ * @customfunction
+ */
+function UPPROMOTE_COMMISSION(affiliateId, status, from, to) {
+  const range = getCustomFunctionDateRange(from, to);
+  const statusFilter = String(status || '').trim().toLowerCase();
+  return FunctionResultCache.getOrCompute('commission', [String(affiliateId), statusFilter, range.from, range.to], () => {
+    return fetchAffiliateReferrals(affiliateId, range)
+      .filter(referral => !statusFilter || String(referral.status || '').toLowerCase() === statusFilter)
+      .reduce((total, referral) => total + DataFormatter.parseAmount(referral.commission) + DataFormatter.parseAmount(referral.commission_adjustment), 0);
+  });
+}
+
+/**
+ * Affiliate record by numeric ID, or by email from the affiliate list; null if there is none
+ */
+function fetchAffiliateByIdOrEmail(idOrEmail) {
+  const apiClient = ApiClient.fromConfig();
+  const key = String(idOrEmail).trim();
+  
+  if (/^\d+$/.test(key)) {
+    try {
+      const response = apiClient.request('GET', `${CONFIG.ENDPOINTS.AFFILIATES}/${encodeURIComponent(key)}`);
+      return response.data || response;
+    } catch (error) {
+      if (error instanceof ApiError && error.status === 404) return null;
+      throw error;
+    }
+  }
+  
+  const email = key.toLowerCase();
+  const affiliates = fetchAllPagesBeforeDeadline(apiClient, CONFIG.ENDPOINTS.AFFILIATES, { email: email });
+  const matches = affiliates.filter(affiliate => String(affiliate.email || '').toLowerCase() === email);
+  return matches.length > 0 ? matches[0] : null;
+}
+
+/**
+ * An affiliate's referrals created within a { from, to } range of epoch seconds
+ * The API is asked to filter by affiliate and start date; both are checked again here
+ */
+function fetchAffiliateReferrals(affiliateId, range) {
+  if (affiliateId === '' || affiliateId === undefined) {
+    throw new Error('An affiliate ID is required');
+  }
+  
+  const params = Object.assign({ affiliate_id: affiliateId }, range.from ? SyncStateManager.getCreatedSinceParams(range.from) : {});
+  
+  const referrals = fetchAllPagesBeforeDeadline(ApiClient.fromConfig(), CONFIG.ENDPOINTS.REFERRALS, params);
+  return referrals.filter(referral => {
+    const createdAt = Number(referral.created_at) || 0;
+    return String(referral.affiliate_id) === String(affiliateId) &&
+      (!range.from || createdAt >= range.from) &&
+      (!range.to || createdAt <= range.to);
+  });
+}
+
+/**
+ * Every page of an endpoint, throwing once CONFIG.CUSTOM_FUNCTION_DEADLINE_MS has passed
+ * The API may ignore the filters, in which case the whole collection is paged through
+ */
+function fetchAllPagesBeforeDeadline(apiClient, endpoint, params) {
+  const deadline = Date.now() + CONFIG.CUSTOM_FUNCTION_DEADLINE_MS;
+  const result = apiClient.makeRequest(endpoint, params, { shouldStop: () => Date.now() >= deadline });
+  if (!result.complete) {
+    throw new Error(`UpPromote lookup stopped before page ${result.nextPage} of ${endpoint} to stay within the custom function time limit`);
+  }
+  return result.data;
+}
+
+/**
+ * Epoch-second bounds for optional from/to dates; "to" covers the whole day
+ */
+function getCustomFunctionDateRange(from, to) {
+  const fromDate = DataFormatter.parseDate(from);
+  const toDate = DataFormatter.parseDate(to) && new Date(DataFormatter.parseDate(to).getTime());
+  if ((from && !fromDate) || (to && !toDate)) {
+    throw new Error('Dates must be date cells or text such as 2024-01-31');
+  }
+  
+  if (toDate) {
+    toDate.setHours(23, 59, 59, 999);
+  }
+  return {
+    from: fromDate ? Math.floor(fromDate.getTime() / 1000) : 0,
+    to: toDate ? Math.floor(toDate.getTime() / 1000) : 0
+  };
+}
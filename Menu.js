@@ -0,0 +1,198 @@
+/**
+ * Spreadsheet menu and settings sidebar
+ */
+
+/**
+ * Add the UpPromote menu when the spreadsheet opens
+ */
+function onOpen() {
+  const menu = SpreadsheetApp.getUi()
+    .createMenu('UpPromote')
+    .addItem('Sync now', 'menuSyncNow')
+    .addItem('Full resync', 'menuFullResync');
+  if (StoreProfiles.getAll().length > 0) {
+    menu.addItem('Sync all stores', 'menuSyncAllStores')
+      .addItem('Store API key', 'setupStoreApiKey');
+  }
+  menu.addSeparator()
+    .addItem('Test connection', 'menuTestConnection')
+    .addItem('Schedule settings', 'menuScheduleSettings')
+    .addItem('Settings', 'showSettingsSidebar')
+    .addSeparator()
+    .addItem('Clear API key', 'menuClearApiKey')
+    .addToUi();
+}
+
+/**
+ * Run the enhanced pull from the menu
+ */
+function menuSyncNow() {
+  runSyncFromMenu(false);
+}
+
+/**
+ * Rebuild every sheet from the API after confirming
+ */
+function menuFullResync() {
+  const ui = SpreadsheetApp.getUi();
+  const answer = ui.alert(
+    'Full resync',
+    'This pulls every record again and can take several executions for large accounts. Continue?',
+    ui.ButtonSet.YES_NO
+  );
+  if (answer === ui.Button.YES) {
+    runSyncFromMenu(true);
+  }
+}
+
+/**
+ * Run a pull and report the outcome in a toast
+ */
+function runSyncFromMenu(fullResync) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  spreadsheet.toast(fullResync ? 'Full resync started...' : 'Sync started...', 'UpPromote', 5);
+  
+  try {
+    const result = pullUpPromoteDataEnhanced({ fullResync: fullResync, source: 'menu' });
+    const counts = Object.keys(result.dataCounts).map(key => `${key}: ${result.dataCounts[key]}`).join(', ');
+    const message = result.complete
+      ? `Sync complete in ${Math.round(result.duration)}s (${counts})`
+      : 'Sync paused at the time limit and will resume automatically';
+    spreadsheet.toast(message, 'UpPromote', 10);
+  } catch (error) {
+    SpreadsheetApp.getUi().alert('UpPromote sync failed', error.message || error.toString(), SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+}
+
+/**
+ * Sync every store profile and report each store's outcome in a toast
+ */
+function menuSyncAllStores() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  spreadsheet.toast('Syncing all stores...', 'UpPromote', 5);
+  
+  const results = syncAllStores({ source: 'menu' });
+  const message = Object.keys(results).map(name => {
+    const result = results[name];
+    if (!result.success) return `${name}: failed`;
+    return `${name}: ${result.complete ? result.outcome : 'paused, resumes automatically'}`;
+  }).join('; ');
+  spreadsheet.toast(message + ' (see the Store Summary sheet)', 'UpPromote', 10);
+}
+
+/**
+ * Test the stored API key from the menu
+ */
+function menuTestConnection() {
+  const ui = SpreadsheetApp.getUi();
+  if (!ApiKeyManager.getApiKey()) {
+    ui.alert('Test connection', 'No API key is stored yet. Open UpPromote > Settings to add one.', ui.ButtonSet.OK);
+    return;
+  }
+  const connected = testApiConnectionSecure();
+  ui.alert('Test connection', connected ? 'Connected to UpPromote.' : 'Connection failed. Check the API key and the execution log.', ui.ButtonSet.OK);
+}
+
+/**
+ * Ask for the hour of the daily sync, or "off" to stop scheduled syncs
+ */
+function menuScheduleSettings() {
+  const ui = SpreadsheetApp.getUi();
+  const stats = getExecutionStats();
+  const response = ui.prompt(
+    'Schedule settings',
+    `Scheduled syncs: ${stats.activeTriggers > 0 ? 'on' : 'off'}.\n` +
+      'Enter the hour (0-23) to sync every day, or "off" to stop scheduled syncs:',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  
+  const answer = response.getResponseText().trim().toLowerCase();
+  if (answer === 'off') {
+    removeTriggers();
+    ui.alert('Schedule settings', 'Scheduled syncs are off.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  const hour = Number(answer);
+  if (answer === '' || !Number.isInteger(hour) || hour < 0 || hour > 23) {
+    ui.alert('Schedule settings', `"${answer}" is not an hour between 0 and 23.`, ui.ButtonSet.OK);
+    return;
+  }
+  setupAdvancedTrigger(hour);
+  ui.alert('Schedule settings', `UpPromote will sync every day around ${hour}:00 (${Session.getScriptTimeZone()}).`, ui.ButtonSet.OK);
+}
+
+/**
+ * Remove the stored API key after confirming
+ */
+function menuClearApiKey() {
+  const ui = SpreadsheetApp.getUi();
+  const answer = ui.alert('Clear API key', 'Remove the stored UpPromote API key? Syncs will stop working until a new key is added.', ui.ButtonSet.YES_NO);
+  if (answer === ui.Button.YES) {
+    ApiKeyManager.clearApiKey();
+    ui.alert('Clear API key', 'The API key has been removed.', ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Open the settings sidebar (Sidebar.html)
+ */
+function showSettingsSidebar() {
+  const html = HtmlService.createHtmlOutputFromFile('Sidebar').setTitle('UpPromote Settings');
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Everything the sidebar shows, as plain values it can receive from google.script.run
+ */
+function getSidebarState() {
+  const enabled = SyncSettings.getEnabledEndpoints();
+  return {
+    apiKeyConfigured: !!ApiKeyManager.getApiKey(),
+    endpoints: Object.keys(CONFIG.ENDPOINTS).map(endpointKey => ({
+      key: endpointKey,
+      label: endpointKey.charAt(0) + endpointKey.slice(1).toLowerCase(),
+      enabled: enabled.indexOf(endpointKey) !== -1
+    })),
+    stats: getExecutionStats()
+  };
+}
+
+/**
+ * Store an API key from the sidebar, but only once it has been tested against the API
+ */
+function saveApiKeyFromSidebar(apiKey) {
+  const key = String(apiKey || '').trim();
+  if (!key) {
+    throw new Error('Enter an API key');
+  }
+  
+  try {
+    new ApiClient(CONFIG.API_BASE_URL, key).fetchPage(CONFIG.ENDPOINTS.AFFILIATES, {}, 1);
+  } catch (error) {
+    ErrorReporter.logError('saveApiKeyFromSidebar', error);
+    throw new Error('UpPromote did not accept this key: ' + (error.message || error.toString()));
+  }
+  
+  ApiKeyManager.setApiKey(key);
+  return getSidebarState();
+}
+
+/**
+ * Test the stored API key from the sidebar
+ */
+function testApiKeyFromSidebar() {
+  if (!ApiKeyManager.getApiKey()) {
+    throw new Error('No API key is stored yet');
+  }
+  return testApiConnectionSecure();
+}
+
+/**
+ * Save the endpoints ticked in the sidebar
+ */
+function saveSyncEndpointsFromSidebar(endpointKeys) {
+  SyncSettings.setEnabledEndpoints(endpointKeys || []);
+  return getSidebarState();
+}
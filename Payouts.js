@@ -0,0 +1,194 @@
+/**
+ * Payout batch export: mass-payout files for approved commissions that have not been paid yet
+ */
+
+// Referral status that makes a commission ready to pay out
+const PAYOUT_ELIGIBLE_STATUS = 'approved';
+
+// One row per affiliate per exported batch; the Referral IDs column keeps referrals from being exported twice
+const PAYOUT_BATCH_HEADERS = [
+  'Batch ID', 'Exported At', 'Affiliate ID', 'Affiliate Email', 'Affiliate Name', 'Referrals',
+  'Amount', 'Currency', 'Referral IDs', 'PayPal File', 'Bank File'
+];
+
+// Referrals sheet fields a payout can't be worked out without (see ColumnSchema.readRecords)
+const PAYOUT_REFERRAL_SOURCES = ['status', 'affiliate_id', 'affiliate.email', 'commission'];
+
+/**
+ * Total approved, not yet exported referrals per affiliate and write a payout batch to Drive
+ * as a PayPal Mass Pay CSV and a generic bank CSV. Affiliates below CONFIG.MIN_PAYOUT_AMOUNT
+ * are left for a later batch. Amounts are in the store's currency, as UpPromote reports them.
+ * Pass a store profile name to export that store's approved referrals
+ */
+function exportPayoutBatch(storeName) {
+  if (storeName) {
+    return StoreProfiles.run(StoreProfiles.get(storeName), () => exportPayoutBatch());
+  }
+  
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  // Files written for a batch whose ledger rows are not in yet; trashed if the export fails
+  const unrecordedFiles = [];
+  
+  try {
+    const spreadsheet = getOrCreateSpreadsheet();
+    const currency = StoreProfiles.getStoreCurrency();
+    const batchSheet = getOrCreateCommandSheet('Payout Batches', PAYOUT_BATCH_HEADERS);
+    const exportedIds = getExportedReferralIds(batchSheet);
+    const referralsSheet = spreadsheet.getSheetByName(StoreProfiles.getSheetName('Referrals'));
+    const payouts = collectApprovedPayouts(ColumnSchema.readRecords('REFERRALS', referralsSheet, PAYOUT_REFERRAL_SOURCES), exportedIds);
+    payouts.forEach(payout => {
+      payout.amount = DataFormatter.roundToCurrency(payout.amount, currency);
+    });
+    
+    const eligible = [];
+    const held = [];
+    payouts.forEach(payout => {
+      if (payout.amount < CONFIG.MIN_PAYOUT_AMOUNT) {
+        held.push(payout);
+      } else if (!DataFormatter.validateEmail(payout.email)) {
+        Logger.log(`Affiliate ${payout.affiliateId} has no valid email - left out of the batch`);
+        held.push(payout);
+      } else {
+        eligible.push(payout);
+      }
+    });
+    
+    if (eligible.length === 0) {
+      Logger.log(`No affiliates at or above the ${CONFIG.MIN_PAYOUT_AMOUNT} ${currency} minimum payout`);
+      return { batchId: null, affiliates: 0, amount: 0, held: held.length };
+    }
+    
+    const exportedAt = new Date();
+    const batchId = 'PB-' + Utilities.formatDate(exportedAt, spreadsheet.getSpreadsheetTimeZone(), 'yyyyMMdd-HHmmss');
+    const folder = CONFIG.PAYOUT_FOLDER_ID ? DriveApp.getFolderById(CONFIG.PAYOUT_FOLDER_ID) : DriveApp;
+    const paypalFile = folder.createFile(`${batchId}-paypal.csv`, buildPayPalMassPayCsv(batchId, eligible, currency), MimeType.CSV);
+    unrecordedFiles.push(paypalFile);
+    const bankFile = folder.createFile(`${batchId}-bank.csv`, buildBankPayoutCsv(batchId, eligible, currency), MimeType.CSV);
+    unrecordedFiles.push(bankFile);
+    
+    const rows = eligible.map(payout => [
+      batchId,
+      exportedAt,
+      payout.affiliateId,
+      payout.email,
+      payout.name,
+      payout.referralIds.length,
+      payout.amount,
+      currency,
+      payout.referralIds.join(', '),
+      paypalFile.getUrl(),
+      bankFile.getUrl()
+    ]);
+    const firstRow = batchSheet.getLastRow() + 1;
+    batchSheet.getRange(firstRow, 1, rows.length, PAYOUT_BATCH_HEADERS.length).setValues(rows);
+    unrecordedFiles.length = 0;
+    SheetUpsertWriter.applyNumberFormats(batchSheet, SheetUpsertWriter.getColumnMap(PAYOUT_BATCH_HEADERS), {
+      'Exported At': DataFormatter.DATE_TIME_FORMAT,
+      'Amount': DataFormatter.getCurrencyFormat(currency)
+    }, firstRow, rows.length);
+    
+    const total = PayoutReport.round(eligible.reduce((sum, payout) => sum + payout.amount, 0));
+    Logger.log(`Exported payout batch ${batchId}: ${eligible.length} affiliates, ${total} ${currency}, ${held.length} held back`);
+    return { batchId: batchId, affiliates: eligible.length, amount: total, held: held.length };
+  } catch (error) {
+    // Without ledger rows the referrals would be exported again, so the files must not be paid from
+    unrecordedFiles.forEach(file => {
+      try {
+        file.setTrashed(true);
+      } catch (trashError) {
+        ErrorReporter.logWarning('exportPayoutBatch', `Could not trash ${file.getName()}: ${trashError.message}`);
+      }
+    });
+    ErrorReporter.logError('exportPayoutBatch', error);
+    throw error;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Approved referrals from Referrals sheet records, minus those already exported, totalled per affiliate
+ */
+function collectApprovedPayouts(referralRecords, exportedIds) {
+  const payouts = {};
+  
+  referralRecords.forEach(record => {
+    if (String(record.Status).trim().toLowerCase() !== PAYOUT_ELIGIBLE_STATUS) return;
+    if (record[SheetUpsertWriter.SYNC_STATUS_HEADER] === 'removed') return;
+    if (exportedIds[String(record.ID)]) return;
+    
+    const affiliateId = record['Affiliate ID'];
+    const payout = payouts[affiliateId] || (payouts[affiliateId] = {
+      affiliateId: affiliateId,
+      email: String(record['Affiliate Email'] || '').trim(),
+      name: record['Affiliate Name'] || '',
+      amount: 0,
+      referralIds: []
+    });
+    payout.amount += DataFormatter.parseAmount(record.Commission) + DataFormatter.parseAmount(record['Commission Adjustment']);
+    payout.referralIds.push(record.ID);
+  });
+  
+  return Object.keys(payouts).map(affiliateId => {
+    payouts[affiliateId].amount = PayoutReport.round(payouts[affiliateId].amount);
+    return payouts[affiliateId];
+  });
+}
+
+/**
+ * Referral IDs already included in an exported batch
+ */
+function getExportedReferralIds(batchSheet) {
+  const exportedIds = {};
+  readSheetRecords(batchSheet).forEach(record => {
+    String(record['Referral IDs']).split(',').forEach(id => {
+      if (id.trim()) {
+        exportedIds[id.trim()] = record['Batch ID'];
+      }
+    });
+  });
+  return exportedIds;
+}
+
+/**
+ * PayPal Mass Pay layout: email, amount, currency, unique ID, note - no header row
+ */
+function buildPayPalMassPayCsv(batchId, payouts, currency) {
+  return toCsv(payouts.map(payout => [
+    payout.email,
+    payout.amount.toFixed(DataFormatter.getCurrencyDecimals(currency)),
+    currency,
+    `${batchId}-${payout.affiliateId}`,
+    `Affiliate commission ${batchId}`
+  ]));
+}
+
+/**
+ * Generic bank transfer layout with a header row
+ */
+function buildBankPayoutCsv(batchId, payouts, currency) {
+  const header = ['Batch ID', 'Reference', 'Affiliate ID', 'Payee Name', 'Payee Email', 'Amount', 'Currency', 'Referral Count', 'Referral IDs'];
+  return toCsv([header].concat(payouts.map(payout => [
+    batchId,
+    `${batchId}-${payout.affiliateId}`,
+    payout.affiliateId,
+    payout.name,
+    payout.email,
+    payout.amount.toFixed(DataFormatter.getCurrencyDecimals(currency)),
+    currency,
+    payout.referralIds.length,
+    payout.referralIds.join(' ')
+  ])));
+}
+
+/**
+ * Join rows into CSV text, quoting values that contain commas, quotes or line breaks
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')).join('\r\n') + '\r\n';
+}
@@ -7,16 +7,18 @@
  */
 function setupScript() {
   Logger.log('Starting UpPromote API script setup...');
+  const ui = SpreadsheetApp.getUi();
   
   try {
-    // Prompt user for API key (in real deployment, this would be set manually)
-    const apiKey = Browser.inputBox(
+    // Prompt user for API key (the settings sidebar offers the same from the UpPromote menu)
+    const response = ui.prompt(
       'UpPromote API Setup',
       'Please enter your UpPromote API key:',
-      Browser.Buttons.OK_CANCEL
+      ui.ButtonSet.OK_CANCEL
     );
+    const apiKey = response.getResponseText().trim();
     
-    if (apiKey === 'cancel' || !apiKey) {
+    if (response.getSelectedButton() !== ui.Button.OK || !apiKey) {
       Logger.log('Setup cancelled by user');
       return;
     }
@@ -27,126 +29,165 @@ function setupScript() {
     // Test API connection
     if (testApiConnectionSecure()) {
       Logger.log('Setup completed successfully!');
-      Browser.msgBox(
+      ui.alert(
         'Setup Complete',
-        'UpPromote API integration has been configured successfully. You can now run pullUpPromoteData() to fetch data.',
-        Browser.Buttons.OK
+        'UpPromote API integration has been configured successfully. You can now use UpPromote > Sync now to fetch data.',
+        ui.ButtonSet.OK
       );
     } else {
       Logger.log('Setup failed - API connection test unsuccessful');
       ApiKeyManager.clearApiKey();
+      ui.alert('Setup Failed', 'The API key was rejected or UpPromote could not be reached. Please check the key and try again.', ui.ButtonSet.OK);
     }
-    
+  
   } catch (error) {
     ErrorReporter.logError('setupScript', error);
-    Browser.msgBox(
+    ui.alert(
       'Setup Failed',
       'There was an error during setup: ' + error.toString(),
-      Browser.Buttons.OK
+      ui.ButtonSet.OK
     );
   }
 }
 
+/**
+ * Create the Columns sheet in the main spreadsheet from the default column schemas
+ * Rows can then be reordered, renamed, retyped or unticked to change what every store's pulls write
+ */
+function setupColumnsSheet() {
+  return ColumnSchema.setupSheet(StoreProfiles.getMainSpreadsheet());
+}
+
 /**
  * Enhanced data pull function with improved error handling and monitoring
+ * Pulls incrementally from the stored watermarks unless options.fullResync is set,
+ * and resumes from the last checkpoint if a previous run ran out of time
  */
-function pullUpPromoteDataEnhanced() {
+function pullUpPromoteDataEnhanced(options) {
   const startTime = new Date();
   Logger.log('Starting enhanced data pull at ' + startTime.toISOString());
+  let sync = null;
+  let logged = false;
   
   try {
     // Get API key from secure storage
     const apiKey = ApiKeyManager.getApiKey();
+    const profile = StoreProfiles.getActive();
     if (!apiKey) {
-      throw new Error('API key not found. Please run setupScript() first.');
+      throw new Error(profile
+        ? `API key not found for store "${profile.name}". Please run setupStoreApiKey() first.`
+        : 'API key not found. Please run setupScript() first.');
     }
     
     // Validate configuration
     const config = {
       API_KEY: apiKey,
-      API_BASE_URL: CONFIG.API_BASE_URL,
+      API_BASE_URL: StoreProfiles.getApiBaseUrl(),
       ENDPOINTS: CONFIG.ENDPOINTS
     };
     ConfigValidator.validateConfig(config);
     
     // Initialize API client with rate limiting
-    const apiClient = new ApiClient(CONFIG.API_BASE_URL, apiKey);
+    const apiClient = new ApiClient(config.API_BASE_URL, apiKey);
     
     // Get or create spreadsheet
     const spreadsheet = getOrCreateSpreadsheet();
     const sheetManager = new SheetManager(spreadsheet);
+    sync = new ResumableSync('pullUpPromoteDataEnhanced', !!(options && options.fullResync));
     
     // Track data counts for summary
     const dataCounts = {};
     
-    // Pull data from each endpoint
-    dataCounts.affiliates = pullAffiliatesDataEnhanced(apiClient, sheetManager);
-    dataCounts.referrals = pullReferralsDataEnhanced(apiClient, sheetManager);
-    dataCounts.coupons = pullCouponsDataEnhanced(apiClient, sheetManager);
-    dataCounts.payments = pullPaymentsDataEnhanced(apiClient, sheetManager);
+    // Pull data from the endpoints enabled in the settings sidebar
+    dataCounts.affiliates = SyncSettings.isEndpointEnabled('AFFILIATES') ? pullAffiliatesDataEnhanced(apiClient, sheetManager, sync) : 0;
+    dataCounts.referrals = SyncSettings.isEndpointEnabled('REFERRALS') ? pullReferralsDataEnhanced(apiClient, sheetManager, sync) : 0;
+    dataCounts.coupons = SyncSettings.isEndpointEnabled('COUPONS') ? pullCouponsDataEnhanced(apiClient, sheetManager, sync) : 0;
+    
+    // The report passes read and rewrite whole sheets, so they wait until the data is complete.
+    // Closing first schedules the continuation and logs the run before they start; passes the
+    // deadline leaves no time for, or that are cut off, run again in the continuation.
+    const passes = getReportPassesEnhanced(sheetManager, dataCounts);
+    const syncStatus = sync.close(Object.keys(passes));
+    const outcome = SyncLog.record({ pipeline: 'pullUpPromoteDataEnhanced', options: options, startedAt: startTime, sync: sync, status: syncStatus });
+    logged = true;
+    sync.runPasses(passes);
     
-    // Add summary sheet
-    sheetManager.addSummarySheet(dataCounts);
+    // Add summary sheet with the state of this sync run
+    sheetManager.addSummarySheet(dataCounts, syncStatus);
     
     const endTime = new Date();
     const duration = (endTime - startTime) / 1000;
+    const complete = syncStatus.state === 'complete';
     
-    Logger.log(`Data pull completed successfully in ${duration} seconds`);
+    Logger.log(`Data pull ${complete ? 'completed successfully' : 'paused and will resume'} after ${duration} seconds`);
     Logger.log('Data summary: ' + JSON.stringify(dataCounts));
     
     return {
       success: true,
+      complete: complete,
+      outcome: outcome,
       duration: duration,
       dataCounts: dataCounts,
       timestamp: endTime.toISOString()
     };
-    
+  
   } catch (error) {
     ErrorReporter.logError('pullUpPromoteDataEnhanced', error, {
       timestamp: new Date().toISOString(),
       function: 'pullUpPromoteDataEnhanced'
     });
+    if (!logged) {
+      SyncLog.record({ pipeline: 'pullUpPromoteDataEnhanced', options: options, startedAt: startTime, sync: sync, error: error });
+    }
     throw error;
   }
 }
 
+/**
+ * Report passes run after the pulls, by the name the checkpoint keeps for them, in the order they run
+ */
+function getReportPassesEnhanced(sheetManager, dataCounts) {
+  return {
+    reportingCurrency: () => applyReportingCurrencyEnhanced(sheetManager),
+    payouts: () => {
+      dataCounts.payouts = buildPayoutsDataEnhanced(sheetManager);
+    },
+    affiliatePerformance: () => buildAffiliatePerformanceEnhanced(sheetManager),
+    commissionReconciliation: () => buildCommissionReconciliationEnhanced(sheetManager),
+    referralRisk: () => scoreReferralRiskEnhanced(sheetManager),
+    anomalies: () => checkAnomaliesEnhanced(sheetManager)
+  };
+}
+
+/**
+ * Enhanced full resync that rebuilds every sheet from scratch
+ */
+function fullResyncUpPromoteDataEnhanced() {
+  return pullUpPromoteDataEnhanced({ fullResync: true });
+}
+
 /**
  * Enhanced affiliates data pull with better formatting
  */
-function pullAffiliatesDataEnhanced(apiClient, sheetManager) {
+function pullAffiliatesDataEnhanced(apiClient, sheetManager, sync) {
   Logger.log('Pulling affiliates data...');
   
   try {
-    const data = apiClient.makeRequest(CONFIG.ENDPOINTS.AFFILIATES);
     const sheet = sheetManager.getOrCreateSheet('Affiliates');
+    const schema = ColumnSchema.forEndpoint('AFFILIATES');
+    const headers = schema.getHeaders();
     
-    if (data && data.data && data.data.length > 0) {
-      const headers = [
-        'ID', 'Email', 'Name', 'Status', 'Commission Rate (%)', 
-        'Total Referrals', 'Total Earnings', 'Created Date', 'Last Updated'
-      ];
-      
-      const rows = data.data.map(affiliate => [
-        affiliate.id || '',
-        DataFormatter.sanitizeString(affiliate.email) || '',
-        DataFormatter.sanitizeString(affiliate.name) || '',
-        affiliate.status || '',
-        affiliate.commission_rate || '',
-        affiliate.total_referrals || 0,
-        DataFormatter.formatCurrency(affiliate.total_earnings) || '',
-        DataFormatter.formatDate(affiliate.created_at) || '',
-        DataFormatter.formatDate(affiliate.updated_at) || ''
-      ]);
-      
-      sheetManager.writeDataWithFormatting(sheet, headers, rows);
-      Logger.log(`Successfully pulled ${rows.length} affiliates`);
-      return rows.length;
-    } else {
-      Logger.log('No affiliates data found');
-      return 0;
-    }
+    return sync.runEndpoint('AFFILIATES', {
+      hasHeaders: sheetManager.hasHeaders(sheet, headers),
+      fetchPages: (params, paging) => apiClient.makeRequest(CONFIG.ENDPOINTS.AFFILIATES, params, paging),
+      writeRows: (records, lastSeen) => sheetManager.upsertDataWithFormatting(sheet, headers, records.map(record => schema.mapRow(record)), { lastSeen: lastSeen, numberFormats: schema.getNumberFormats() }),
+      markRemoved: runStartedAt => SheetUpsertWriter.markRemoved(sheet, runStartedAt)
+    });
   } catch (error) {
+    if (error instanceof CircuitBreakerOpenError) throw error;
+    
     ErrorReporter.logError('pullAffiliatesDataEnhanced', error);
+    sync.failEndpoint('AFFILIATES', error);
     return 0;
   }
 }
@@ -154,40 +195,25 @@ function pullAffiliatesDataEnhanced(apiClient, sheetManager) {
 /**
  * Enhanced referrals data pull with better formatting
  */
-function pullReferralsDataEnhanced(apiClient, sheetManager) {
+function pullReferralsDataEnhanced(apiClient, sheetManager, sync) {
   Logger.log('Pulling referrals data...');
   
   try {
-    const data = apiClient.makeRequest(CONFIG.ENDPOINTS.REFERRALS);
     const sheet = sheetManager.getOrCreateSheet('Referrals');
+    const schema = ColumnSchema.forEndpoint('REFERRALS');
+    const headers = schema.getHeaders();
     
-    if (data && data.data && data.data.length > 0) {
-      const headers = [
-        'ID', 'Affiliate ID', 'Customer Email', 'Order Value', 
-        'Commission Amount', 'Commission Rate (%)', 'Status', 'Order Date', 'Created Date'
-      ];
-      
-      const rows = data.data.map(referral => [
-        referral.id || '',
-        referral.affiliate_id || '',
-        DataFormatter.sanitizeString(referral.customer_email) || '',
-        DataFormatter.formatCurrency(referral.order_value) || '',
-        DataFormatter.formatCurrency(referral.commission) || '',
-        referral.commission_rate || '',
-        referral.status || '',
-        DataFormatter.formatDate(referral.order_date) || '',
-        DataFormatter.formatDate(referral.created_at) || ''
-      ]);
-      
-      sheetManager.writeDataWithFormatting(sheet, headers, rows);
-      Logger.log(`Successfully pulled ${rows.length} referrals`);
-      return rows.length;
-    } else {
-      Logger.log('No referrals data found');
-      return 0;
-    }
+    return sync.runEndpoint('REFERRALS', {
+      hasHeaders: sheetManager.hasHeaders(sheet, headers),
+      fetchPages: (params, paging) => apiClient.makeRequest(CONFIG.ENDPOINTS.REFERRALS, params, paging),
+      writeRows: (records, lastSeen) => sheetManager.upsertDataWithFormatting(sheet, headers, records.map(record => schema.mapRow(record)), { lastSeen: lastSeen, numberFormats: schema.getNumberFormats() }),
+      markRemoved: runStartedAt => SheetUpsertWriter.markRemoved(sheet, runStartedAt)
+    });
   } catch (error) {
+    if (error instanceof CircuitBreakerOpenError) throw error;
+    
     ErrorReporter.logError('pullReferralsDataEnhanced', error);
+    sync.failEndpoint('REFERRALS', error);
     return 0;
   }
 }
@@ -195,88 +221,299 @@ function pullReferralsDataEnhanced(apiClient, sheetManager) {
 /**
  * Enhanced coupons data pull with better formatting
  */
-function pullCouponsDataEnhanced(apiClient, sheetManager) {
+function pullCouponsDataEnhanced(apiClient, sheetManager, sync) {
   Logger.log('Pulling coupons data...');
   
   try {
-    const data = apiClient.makeRequest(CONFIG.ENDPOINTS.COUPONS);
     const sheet = sheetManager.getOrCreateSheet('Coupons');
+    const schema = ColumnSchema.forEndpoint('COUPONS');
+    const headers = schema.getHeaders();
     
-    if (data && data.data && data.data.length > 0) {
-      const headers = [
-        'ID', 'Code', 'Affiliate ID', 'Discount Type', 'Discount Value', 
-        'Usage Count', 'Usage Limit', 'Status', 'Expiry Date', 'Created Date'
-      ];
-      
-      const rows = data.data.map(coupon => [
-        coupon.id || '',
-        DataFormatter.sanitizeString(coupon.code) || '',
-        coupon.affiliate_id || '',
-        coupon.discount_type || '',
-        coupon.discount_value || '',
-        coupon.usage_count || 0,
-        coupon.usage_limit || '',
-        coupon.status || '',
-        DataFormatter.formatDate(coupon.expiry_date) || '',
-        DataFormatter.formatDate(coupon.created_at) || ''
-      ]);
-      
-      sheetManager.writeDataWithFormatting(sheet, headers, rows);
-      Logger.log(`Successfully pulled ${rows.length} coupons`);
-      return rows.length;
-    } else {
-      Logger.log('No coupons data found');
-      return 0;
-    }
+    return sync.runEndpoint('COUPONS', {
+      hasHeaders: sheetManager.hasHeaders(sheet, headers),
+      fetchPages: (params, paging) => apiClient.makeRequest(CONFIG.ENDPOINTS.COUPONS, params, paging),
+      writeRows: (records, lastSeen) => sheetManager.upsertDataWithFormatting(sheet, headers, records.map(record => schema.mapRow(record)), { lastSeen: lastSeen, numberFormats: schema.getNumberFormats() }),
+      markRemoved: runStartedAt => SheetUpsertWriter.markRemoved(sheet, runStartedAt)
+    });
   } catch (error) {
+    if (error instanceof CircuitBreakerOpenError) throw error;
+    
     ErrorReporter.logError('pullCouponsDataEnhanced', error);
+    sync.failEndpoint('COUPONS', error);
     return 0;
   }
 }
 
 /**
- * Enhanced payments data pull with better formatting
+ * Write the referral's currency, exchange rate and reporting-currency amounts on the Referrals sheet
+ * Every row is recalculated, so edits to the Rates sheet or the store currency apply on the next run
  */
-function pullPaymentsDataEnhanced(apiClient, sheetManager) {
-  Logger.log('Pulling payments data...');
+function applyReportingCurrencyEnhanced(sheetManager) {
+  Logger.log(`Converting referrals to ${CONFIG.REPORTING_CURRENCY}...`);
   
   try {
-    const data = apiClient.makeRequest(CONFIG.ENDPOINTS.PAYMENTS);
-    const sheet = sheetManager.getOrCreateSheet('Payments');
-    
-    if (data && data.data && data.data.length > 0) {
-      const headers = [
-        'ID', 'Affiliate ID', 'Amount', 'Currency', 'Status', 
-        'Payment Method', 'Transaction ID', 'Processing Date', 'Created Date'
-      ];
-      
-      const rows = data.data.map(payment => [
-        payment.id || '',
-        payment.affiliate_id || '',
-        DataFormatter.formatCurrency(payment.amount, payment.currency) || '',
-        payment.currency || '',
-        payment.status || '',
-        payment.payment_method || '',
-        payment.transaction_id || '',
-        DataFormatter.formatDate(payment.processing_date) || '',
-        DataFormatter.formatDate(payment.created_at) || ''
-      ]);
-      
-      sheetManager.writeDataWithFormatting(sheet, headers, rows);
-      Logger.log(`Successfully pulled ${rows.length} payments`);
-      return rows.length;
-    } else {
-      Logger.log('No payments data found');
+    const sheet = sheetManager.getOrCreateSheet('Referrals');
+    const records = ColumnSchema.readRecords('REFERRALS', sheet, ExchangeRates.REFERRAL_SOURCES);
+    if (records.length === 0) return 0;
+    
+    const rates = ExchangeRates.fromSheet();
+    const values = records.map(record => rates.referralValues(record));
+    const columns = SheetUpsertWriter.resolveColumns(sheet, [ExchangeRates.OVERRIDE_HEADER].concat(ExchangeRates.REFERRAL_HEADERS));
+    ExchangeRates.REFERRAL_HEADERS.forEach((header, index) => {
+      sheet.getRange(2, columns[header], values.length, 1).setValues(values.map(row => [row[index]]));
+    });
+    const reportingFormat = DataFormatter.getCurrencyFormat(CONFIG.REPORTING_CURRENCY);
+    SheetUpsertWriter.applyNumberFormats(sheet, columns, {
+      'Total Sales (Reporting)': reportingFormat,
+      'Commission (Reporting)': reportingFormat,
+      'Commission Adjustment (Reporting)': reportingFormat
+    });
+    
+    const missing = {};
+    values.forEach(row => {
+      if (row[1] === '') missing[row[0]] = (missing[row[0]] || 0) + 1;
+    });
+    if (Object.keys(missing).length > 0) {
+      ErrorReporter.logWarning('applyReportingCurrencyEnhanced', `No ${CONFIG.REPORTING_CURRENCY} rate in the Rates sheet for some referrals`, missing);
+    }
+    return values.length;
+  } catch (error) {
+    ErrorReporter.logError('applyReportingCurrencyEnhanced', error);
+    return 0;
+  }
+}
+
+/**
+ * Recalculate the reporting-currency columns and the reports that use them after editing the Rates sheet
+ */
+function refreshReportingCurrency() {
+  const sheetManager = new SheetManager(getOrCreateSpreadsheet());
+  const referrals = applyReportingCurrencyEnhanced(sheetManager);
+  buildPayoutsDataEnhanced(sheetManager);
+  buildAffiliatePerformanceEnhanced(sheetManager);
+  return referrals;
+}
+
+/**
+ * Import dated exchange rates into the Rates sheet from a CSV file in Drive (Date, From, To, Rate)
+ */
+function importRatesCsv(fileId) {
+  const sheet = ExchangeRates.getSheet();
+  const result = ExchangeRates.mergeCsv(readSheetRecords(sheet), DriveApp.getFileById(fileId).getBlob().getDataAsString());
+  
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, ExchangeRates.HEADERS.length).clearContent();
+  }
+  if (result.rows.length > 0) {
+    sheet.getRange(2, 1, result.rows.length, ExchangeRates.HEADERS.length).setValues(result.rows);
+    sheet.getRange(2, 1, result.rows.length, 1).setNumberFormat(DataFormatter.DATE_FORMAT);
+  }
+  
+  Logger.log(`Imported ${result.imported} rates (${result.skipped} rows skipped); the Rates sheet has ${result.rows.length} rates`);
+  return { imported: result.imported, skipped: result.skipped, total: result.rows.length };
+}
+
+/**
+ * Rebuild the Payouts sheet from the paid referrals in the Referrals sheet
+ */
+function buildPayoutsDataEnhanced(sheetManager) {
+  Logger.log('Building payouts from paid referrals...');
+  
+  try {
+    const referralsSheet = sheetManager.getOrCreateSheet('Referrals');
+    const sheet = sheetManager.getOrCreateSheet(PayoutReport.SHEET_NAME);
+    const referralRecords = ColumnSchema.readRecords('REFERRALS', referralsSheet, PayoutReport.REFERRAL_SOURCES);
+    const rows = PayoutReport.buildRows(referralRecords);
+    
+    sheetManager.writeDataWithFormatting(sheet, PayoutReport.HEADERS, rows, PayoutReport.getNumberFormats());
+    if (rows.length > 0) {
+      sheet.getRange(2, PayoutReport.HEADERS.indexOf('Referral IDs') + 1, rows.length, 1)
+        .setRichTextValues(PayoutReport.buildReferralLinks(rows, referralRecords, referralsSheet));
+    }
+    Logger.log(`Built ${rows.length} payout rows`);
+    return rows.length;
+  } catch (error) {
+    ErrorReporter.logError('buildPayoutsDataEnhanced', error);
+    return 0;
+  }
+}
+
+/**
+ * Rebuild the Affiliate Performance sheet with the Period and Program ID filters set at its top
+ */
+function buildAffiliatePerformanceEnhanced(sheetManager) {
+  Logger.log('Building affiliate performance...');
+  
+  try {
+    const sheet = sheetManager.getOrCreateSheet(AffiliatePerformanceReport.SHEET_NAME);
+    const filters = { period: AffiliatePerformanceReport.PERIODS[0], programId: '' };
+    if (sheet.getLastRow() >= 2 && sheet.getRange(1, 1).getValue() === 'Period') {
+      const values = sheet.getRange(1, 2, 2, 1).getValues();
+      filters.period = values[0][0] || filters.period;
+      filters.programId = values[1][0];
+    }
+    
+    const rows = AffiliatePerformanceReport.buildRows(
+      ColumnSchema.readRecords('REFERRALS', sheetManager.getOrCreateSheet('Referrals'), AffiliatePerformanceReport.REFERRAL_SOURCES),
+      ColumnSchema.readRecords('AFFILIATES', sheetManager.getOrCreateSheet('Affiliates')),
+      filters
+    );
+    
+    sheetManager.writeReportWithFilters(sheet, [
+      ['Period', filters.period],
+      ['Program ID', filters.programId],
+      ['Updated', new Date()]
+    ], AffiliatePerformanceReport.HEADERS, rows, AffiliatePerformanceReport.getNumberFormats());
+    sheet.getRange(3, 2).setNumberFormat(DataFormatter.DATE_TIME_FORMAT);
+    
+    const periodRule = SpreadsheetApp.newDataValidation()
+      .requireValueInList(AffiliatePerformanceReport.PERIODS, true)
+      .setAllowInvalid(false)
+      .build();
+    sheet.getRange(1, 2).setDataValidation(periodRule);
+    
+    Logger.log(`Ranked ${rows.length} affiliates (${filters.period}${filters.programId !== '' ? ', program ' + filters.programId : ''})`);
+    return rows.length;
+  } catch (error) {
+    ErrorReporter.logError('buildAffiliatePerformanceEnhanced', error);
+    return 0;
+  }
+}
+
+/**
+ * Recalculate the Affiliate Performance sheet after changing its Period or Program ID filter
+ */
+function refreshAffiliatePerformance() {
+  return buildAffiliatePerformanceEnhanced(new SheetManager(getOrCreateSpreadsheet()));
+}
+
+/**
+ * Rebuild the Commission Reconciliation sheet: totals per month and affiliate, then every exception
+ */
+function buildCommissionReconciliationEnhanced(sheetManager) {
+  Logger.log('Reconciling commissions...');
+  
+  try {
+    const referralRecords = ColumnSchema.readRecords('REFERRALS', sheetManager.getOrCreateSheet('Referrals'), CommissionReconciliation.REFERRAL_SOURCES);
+    const result = CommissionReconciliation.buildRows(referralRecords);
+    sheetManager.writeSections(sheetManager.getOrCreateSheet(CommissionReconciliation.SHEET_NAME), [
+      { title: 'Totals by month and affiliate', headers: CommissionReconciliation.TOTALS_HEADERS, rows: result.totals, numberFormats: CommissionReconciliation.getNumberFormats() },
+      { title: `Exceptions (${result.exceptions.length})`, headers: CommissionReconciliation.EXCEPTION_HEADERS, rows: result.exceptions, numberFormats: CommissionReconciliation.getNumberFormats() }
+    ]);
+    
+    Logger.log(`Reconciled commissions: ${result.exceptions.length} exceptions`);
+    return result.exceptions.length;
+  } catch (error) {
+    ErrorReporter.logError('buildCommissionReconciliationEnhanced', error);
+    return 0;
+  }
+}
+
+/**
+ * Reconcile commissions against the data already in the sheets, without pulling
+ */
+function reconcileCommissions() {
+  return buildCommissionReconciliationEnhanced(new SheetManager(getOrCreateSpreadsheet()));
+}
+
+/**
+ * Write Risk Score and Risk Reasons columns on the Referrals sheet and rebuild the Review Queue
+ * The columns are found by header, so later pulls leave them alone until the next scoring pass
+ */
+function scoreReferralRiskEnhanced(sheetManager) {
+  Logger.log('Scoring referral risk...');
+  
+  try {
+    const referralsSheet = sheetManager.getOrCreateSheet('Referrals');
+    const referralRecords = ColumnSchema.readRecords('REFERRALS', referralsSheet, ReferralRiskScorer.REFERRAL_SOURCES);
+    if (referralRecords.length === 0) return 0;
+    
+    const scores = ReferralRiskScorer.score(referralRecords, ColumnSchema.readRecords('AFFILIATES', sheetManager.getOrCreateSheet('Affiliates')));
+    const columns = SheetUpsertWriter.resolveColumns(referralsSheet, [ReferralRiskScorer.SCORE_HEADER, ReferralRiskScorer.REASONS_HEADER]);
+    referralsSheet.getRange(2, columns[ReferralRiskScorer.SCORE_HEADER], scores.length, 1)
+      .setValues(scores.map(result => [result.score === null ? '' : result.score]));
+    referralsSheet.getRange(2, columns[ReferralRiskScorer.REASONS_HEADER], scores.length, 1)
+      .setValues(scores.map(result => [result.reasons.join('; ')]));
+    
+    const rows = ReferralRiskScorer.buildReviewRows(referralRecords, scores);
+    sheetManager.writeDataWithFormatting(sheetManager.getOrCreateSheet(ReferralRiskScorer.REVIEW_SHEET_NAME), ReferralRiskScorer.REVIEW_HEADERS, rows, ReferralRiskScorer.getReviewNumberFormats());
+    
+    Logger.log(`Scored ${scores.length} referrals, ${rows.length} queued for review`);
+    return rows.length;
+  } catch (error) {
+    ErrorReporter.logError('scoreReferralRiskEnhanced', error);
+    return 0;
+  }
+}
+
+/**
+ * Score referral risk against the data already in the sheets, without pulling
+ */
+function scoreReferralRisk() {
+  return scoreReferralRiskEnhanced(new SheetManager(getOrCreateSpreadsheet()));
+}
+
+/**
+ * Evaluate CONFIG.ALERT_RULES against the Referrals and Affiliates sheets
+ * New alerts are appended to the Alerts sheet and sent to the notification channels, or emailed to the
+ * script owner when there are none; an alert already in the sheet (same rule, day and subject) is not raised again
+ */
+function checkAnomaliesEnhanced(sheetManager) {
+  Logger.log('Checking alert rules...');
+  
+  try {
+    const sheet = sheetManager.getOrCreateSheet(AnomalyMonitor.SHEET_NAME);
+    if (sheet.getLastRow() === 0) {
+      sheet.getRange(1, 1, 1, AnomalyMonitor.HEADERS.length).setValues([AnomalyMonitor.HEADERS]).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+    }
+    
+    const raised = {};
+    readSheetRecords(sheet).forEach(record => {
+      raised[record['Alert Key']] = true;
+    });
+    const alerts = AnomalyMonitor.evaluate(
+      ColumnSchema.readRecords('REFERRALS', sheetManager.getOrCreateSheet('Referrals'), AnomalyMonitor.REFERRAL_SOURCES),
+      ColumnSchema.readRecords('AFFILIATES', sheetManager.getOrCreateSheet('Affiliates'), AnomalyMonitor.AFFILIATE_SOURCES),
+      CONFIG.ALERT_RULES
+    ).filter(alert => !raised[alert.key]);
+    
+    if (alerts.length === 0) {
+      Logger.log('No new alerts');
       return 0;
     }
+    
+    const detectedAt = new Date();
+    const rows = alerts.map(alert => [
+      detectedAt, alert.rule, alert.day, alert.subject, alert.value, alert.expected, alert.threshold, alert.message, alert.key
+    ]);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, AnomalyMonitor.HEADERS.length).setValues(rows);
+    
+    const profile = StoreProfiles.getActive();
+    ErrorReporter.deliver({
+      type: 'anomaly',
+      subject: `UpPromote${profile ? ' ' + profile.name : ''}: ${alerts.length} new alert${alerts.length === 1 ? '' : 's'}`,
+      message: alerts.map(alert => `- ${alert.message}`).join('\n'),
+      pipeline: StoreProfiles.describe('checkAnomaliesEnhanced')
+    }, true);
+    Logger.log(`Raised ${alerts.length} alerts`);
+    return alerts.length;
   } catch (error) {
-    ErrorReporter.logError('pullPaymentsDataEnhanced', error);
+    ErrorReporter.logError('checkAnomaliesEnhanced', error);
     return 0;
   }
 }
 
+/**
+ * Check the alert rules against the data already in the sheets, without pulling
+ */
+function checkAnomalies() {
+  return checkAnomaliesEnhanced(new SheetManager(getOrCreateSpreadsheet()));
+}
+
 /**
  * Test API connection using secure key storage
+ * Only the first page is requested, so the menu and sidebar get an answer quickly
  */
 function testApiConnectionSecure() {
   const apiKey = ApiKeyManager.getApiKey();
@@ -287,8 +524,8 @@ function testApiConnectionSecure() {
   }
   
   try {
-    const apiClient = new ApiClient(CONFIG.API_BASE_URL, apiKey);
-    const data = apiClient.makeRequest(CONFIG.ENDPOINTS.AFFILIATES, { limit: 1 });
+    const apiClient = new ApiClient(StoreProfiles.getApiBaseUrl(), apiKey);
+    const data = apiClient.fetchPage(CONFIG.ENDPOINTS.AFFILIATES, {}, 1);
     
     Logger.log('API connection successful');
     Logger.log('Test response received with data length: ' + (data.data ? data.data.length : 0));
@@ -301,20 +538,23 @@ function testApiConnectionSecure() {
 
 /**
  * Advanced trigger setup with error handling
+ * Runs the enhanced pull every day at the given hour (0-23, script time zone),
+ * or syncAllStores when store profiles are configured
  */
-function setupAdvancedTrigger() {
+function setupAdvancedTrigger(hour = 9) {
   try {
     // Remove existing triggers
     removeTriggers();
     
     // Create new trigger with error handling
-    const trigger = ScriptApp.newTrigger('pullUpPromoteDataEnhanced')
+    const handler = StoreProfiles.getAll().length > 0 ? 'syncAllStores' : 'pullUpPromoteDataEnhanced';
+    const trigger = ScriptApp.newTrigger(handler)
       .timeBased()
       .everyDays(1)
-      .atHour(9)
+      .atHour(hour)
       .create();
     
-    Logger.log('Advanced daily trigger set up successfully');
+    Logger.log(`Advanced daily trigger set up successfully for ${hour}:00`);
     Logger.log('Trigger ID: ' + trigger.getUniqueId());
     
     return trigger.getUniqueId();
@@ -330,11 +570,22 @@ function setupAdvancedTrigger() {
 function getExecutionStats() {
   try {
     const triggers = ScriptApp.getProjectTriggers();
-    const activeTriggers = triggers.filter(t => t.getHandlerFunction().includes('pullUpPromote'));
+    const activeTriggers = triggers.filter(t => t.getHandlerFunction().includes('pullUpPromote') || t.getHandlerFunction() === 'syncAllStores');
+    
+    const lastStatus = ResumableSync.getLastStatus();
+    const history = SyncLog.getStats();
     
     const stats = {
       activeTriggers: activeTriggers.length,
-      lastExecution: 'Unknown', // Would need to store this in properties
+      lastExecution: history.lastRun ? history.lastRun.endedAt : 'Unknown',
+      lastOutcome: history.lastRun ? history.lastRun.outcome : 'Unknown',
+      lastRun: history.lastRun,
+      recentRuns: history.runs,
+      successRate: history.successRate,
+      averageDurationSeconds: history.averageDurationSeconds,
+      lastSyncState: lastStatus ? lastStatus.state : 'Unknown',
+      lastSyncRowCounts: lastStatus ? lastStatus.rowCounts : {},
+      lastSyncFailedEndpoints: lastStatus ? lastStatus.failedEndpoints : [],
       apiKeyConfigured: !!ApiKeyManager.getApiKey(),
       projectId: ScriptApp.getScriptId()
     };
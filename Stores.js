@@ -0,0 +1,215 @@
+/**
+ * Several UpPromote stores in one deployment, one profile each in CONFIG.STORE_PROFILES
+ * Each profile's API key is kept in Script Properties under its own key (see StoreProfiles)
+ */
+
+const STORE_SUMMARY_SHEET_NAME = 'Store Summary';
+
+/**
+ * Run the enhanced pull for one store profile, then refresh the Store Summary sheet
+ */
+function syncStore(name, options) {
+  ConfigValidator.validateStoreProfiles(StoreProfiles.getAll());
+  const profile = StoreProfiles.get(name);
+  
+  try {
+    return StoreProfiles.run(profile, () => pullUpPromoteDataEnhanced(options));
+  } finally {
+    buildStoreSummary();
+  }
+}
+
+/**
+ * Run the enhanced pull for every store profile, then refresh the Store Summary sheet
+ * A failing store is recorded in its own Sync Log and does not stop the others.
+ * The stores share the execution time limit; any that run out of time resume from their checkpoints.
+ */
+function syncAllStores(options) {
+  const profiles = StoreProfiles.getAll();
+  if (profiles.length === 0) {
+    throw new Error('No store profiles configured. Add them to CONFIG.STORE_PROFILES.');
+  }
+  ConfigValidator.validateStoreProfiles(profiles);
+  
+  const results = {};
+  profiles.forEach(profile => {
+    Logger.log(`Syncing store ${profile.name}...`);
+    try {
+      results[profile.name] = StoreProfiles.run(profile, () => pullUpPromoteDataEnhanced(options));
+    } catch (error) {
+      results[profile.name] = { success: false, error: error.toString() };
+    }
+  });
+  
+  buildStoreSummary();
+  Logger.log('Store results: ' + JSON.stringify(results));
+  return results;
+}
+
+/**
+ * Full resync of every store profile
+ */
+function fullResyncAllStores() {
+  return syncAllStores({ fullResync: true });
+}
+
+/**
+ * Prompt for a store profile name and its API key, then test and store the key
+ */
+function setupStoreApiKey() {
+  const ui = SpreadsheetApp.getUi();
+  const names = StoreProfiles.getAll().map(profile => profile.name);
+  if (names.length === 0) {
+    ui.alert('Store API key', 'No store profiles configured. Add them to CONFIG.STORE_PROFILES first.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  const nameResponse = ui.prompt('Store API key', `Which store? (${names.join(', ')})`, ui.ButtonSet.OK_CANCEL);
+  if (nameResponse.getSelectedButton() !== ui.Button.OK) return;
+  const keyResponse = ui.prompt('Store API key', `UpPromote API key for ${nameResponse.getResponseText().trim()}:`, ui.ButtonSet.OK_CANCEL);
+  if (keyResponse.getSelectedButton() !== ui.Button.OK) return;
+  
+  try {
+    setStoreApiKey(nameResponse.getResponseText().trim(), keyResponse.getResponseText());
+    ui.alert('Store API key', 'Key saved and connection tested.', ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Store API key', error.message || error.toString(), ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Store a profile's API key, but only once it has been tested against the profile's base URL
+ */
+function setStoreApiKey(name, apiKey) {
+  const key = String(apiKey || '').trim();
+  if (!key) {
+    throw new Error('Enter an API key');
+  }
+  
+  const profile = StoreProfiles.get(name);
+  StoreProfiles.run(profile, () => {
+    try {
+      new ApiClient(StoreProfiles.getApiBaseUrl(), key).fetchPage(CONFIG.ENDPOINTS.AFFILIATES, {}, 1);
+    } catch (error) {
+      ErrorReporter.logError('setStoreApiKey', error, { store: profile.name });
+      throw new Error(`UpPromote did not accept this key for ${profile.name}: ` + (error.message || error.toString()));
+    }
+    ApiKeyManager.setApiKey(key);
+  });
+  return true;
+}
+
+/**
+ * Remove a profile's stored API key
+ */
+function clearStoreApiKey(name) {
+  StoreProfiles.run(StoreProfiles.get(name), () => ApiKeyManager.clearApiKey());
+}
+
+/**
+ * Rebuild the Store Summary sheet in the main spreadsheet: one column per store, side by side
+ */
+function buildStoreSummary() {
+  Logger.log('Building store summary...');
+  
+  try {
+    const profiles = StoreProfiles.getAll();
+    if (profiles.length === 0) return 0;
+    
+    const columns = profiles.map(profile => StoreProfiles.run(profile, () => collectStoreSummary(profile)));
+    const labels = getStoreSummaryLabels();
+    const rows = labels.map((label, index) => [label].concat(columns.map(column => column[index].value)));
+    
+    const sheet = getOrCreateSheet(StoreProfiles.getMainSpreadsheet(), STORE_SUMMARY_SHEET_NAME);
+    sheet.clear();
+    sheet.getRange(1, 1, rows.length, profiles.length + 1).setValues(rows);
+    columns.forEach((column, columnIndex) => {
+      column.forEach((cell, rowIndex) => {
+        if (cell.format) {
+          sheet.getRange(rowIndex + 1, columnIndex + 2).setNumberFormat(cell.format);
+        }
+      });
+    });
+    
+    const headerRange = sheet.getRange(1, 1, 1, profiles.length + 1);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#4285f4');
+    headerRange.setFontColor('#ffffff');
+    sheet.getRange(2, 1, rows.length - 1, 1).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    sheet.setFrozenColumns(1);
+    sheet.autoResizeColumns(1, profiles.length + 1);
+    
+    Logger.log(`Store summary written for ${profiles.length} stores`);
+    return profiles.length;
+  } catch (error) {
+    ErrorReporter.logError('buildStoreSummary', error);
+    return 0;
+  }
+}
+
+/**
+ * Row labels of the Store Summary sheet, in the order collectStoreSummary returns its cells
+ */
+function getStoreSummaryLabels() {
+  return [
+    'Store', 'Currency', 'Spreadsheet', 'Sheet Prefix', 'Last Sync', 'Last Outcome', 'Sync State',
+    'Success Rate', 'Affiliates', 'Referrals', 'Coupons', 'Total Sales', 'Commission',
+    `Total Sales (${CONFIG.REPORTING_CURRENCY})`, `Commission (${CONFIG.REPORTING_CURRENCY})`
+  ];
+}
+
+/**
+ * The active store's cells for the Store Summary sheet as { value, format }
+ * Sales and commission cover the referrals not flagged removed; the reporting-currency totals
+ * are blank while any of those referrals has no exchange rate
+ */
+function collectStoreSummary(profile) {
+  const spreadsheet = getOrCreateSpreadsheet();
+  const findSheet = sheetName => spreadsheet.getSheetByName(StoreProfiles.getSheetName(sheetName));
+  const countRows = sheetName => {
+    const sheet = findSheet(sheetName);
+    return sheet ? Math.max(sheet.getLastRow() - 1, 0) : 0;
+  };
+  
+  const status = ResumableSync.getLastStatus();
+  const stats = SyncLog.getStats();
+  const referrals = ColumnSchema.readRecords('REFERRALS', findSheet('Referrals'))
+    .filter(record => record[SheetUpsertWriter.SYNC_STATUS_HEADER] !== 'removed');
+  const totals = { sales: 0, commission: 0, reportingSales: 0, reportingCommission: 0, reportingComplete: true };
+  referrals.forEach(record => {
+    totals.sales += DataFormatter.parseAmount(record['Total Sales']);
+    totals.commission += DataFormatter.parseAmount(record.Commission) + DataFormatter.parseAmount(record['Commission Adjustment']);
+    totals.reportingSales += PayoutReport.getReportingAmount(record, ['Total Sales (Reporting)'], totals);
+    totals.reportingCommission += PayoutReport.getReportingAmount(record, ['Commission (Reporting)', 'Commission Adjustment (Reporting)'], totals);
+  });
+  
+  const storeFormat = DataFormatter.getCurrencyFormat();
+  const reportingFormat = DataFormatter.getCurrencyFormat(CONFIG.REPORTING_CURRENCY);
+  const reporting = amount => (totals.reportingComplete ? PayoutReport.round(amount) : '');
+  let syncState = 'Never synced';
+  if (status) {
+    syncState = status.state === 'complete' ? 'Complete' : 'In progress';
+    if (status.failedEndpoints.length > 0) {
+      syncState += ` - ${status.failedEndpoints.join(', ')} failed`;
+    }
+  }
+  
+  return [
+    { value: profile.name },
+    { value: StoreProfiles.getStoreCurrency() },
+    { value: spreadsheet.getUrl() },
+    { value: profile.sheetPrefix || '' },
+    { value: stats.lastRun ? new Date(stats.lastRun.endedAt) : '', format: DataFormatter.DATE_TIME_FORMAT },
+    { value: stats.lastRun ? stats.lastRun.outcome : '' },
+    { value: syncState },
+    { value: stats.successRate === null ? '' : stats.successRate / 100, format: DataFormatter.PERCENT_FORMAT },
+    { value: countRows('Affiliates') },
+    { value: countRows('Referrals') },
+    { value: countRows('Coupons') },
+    { value: PayoutReport.round(totals.sales), format: storeFormat },
+    { value: PayoutReport.round(totals.commission), format: storeFormat },
+    { value: reporting(totals.reportingSales), format: reportingFormat },
+    { value: reporting(totals.reportingCommission), format: reportingFormat }
+  ];
+}
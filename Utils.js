@@ -6,161 +6,2834 @@
  * Secure API key management using PropertiesService
  */
 class ApiKeyManager {
+  // Each store profile has its own key (see StoreProfiles.getPropertyKey)
   static setApiKey(apiKey) {
-    PropertiesService.getScriptProperties().setProperty('UPPROMOTE_API_KEY', apiKey);
+    PropertiesService.getScriptProperties().setProperty(StoreProfiles.getPropertyKey('UPPROMOTE_API_KEY'), apiKey);
     Logger.log('API key stored securely');
   }
   
   static getApiKey() {
-    return PropertiesService.getScriptProperties().getProperty('UPPROMOTE_API_KEY');
+    return PropertiesService.getScriptProperties().getProperty(StoreProfiles.getPropertyKey('UPPROMOTE_API_KEY'));
   }
   
   static clearApiKey() {
-    PropertiesService.getScriptProperties().deleteProperty('UPPROMOTE_API_KEY');
+    PropertiesService.getScriptProperties().deleteProperty(StoreProfiles.getPropertyKey('UPPROMOTE_API_KEY'));
     Logger.log('API key cleared');
   }
 }
 
+/**
+ * Store profiles from CONFIG.STORE_PROFILES and the one this execution is working on
+ * While a profile is active, its API key, stored sync state, spreadsheet, sheet names, base URL,
+ * endpoints and currency are used. With none active the script works as a single store.
+ */
+class StoreProfiles {
+  static getAll() {
+    return CONFIG.STORE_PROFILES || [];
+  }
+  
+  static get(name) {
+    const id = StoreProfiles.getId({ name: name });
+    const matches = StoreProfiles.getAll().filter(profile => StoreProfiles.getId(profile) === id);
+    if (matches.length === 0) {
+      throw new Error(`No store profile named "${name}" in CONFIG.STORE_PROFILES`);
+    }
+    return matches[0];
+  }
+  
+  /**
+   * Identifier used in property keys, e.g. EU_STORE for a profile named "EU store"
+   */
+  static getId(profile) {
+    return String(profile.name || '').trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+  }
+  
+  static getActive() {
+    return StoreProfiles.active || null;
+  }
+  
+  /**
+   * Call fn with a profile active (null for the single-store setup), then restore the previous one
+   */
+  static run(profile, fn) {
+    const previous = StoreProfiles.getActive();
+    StoreProfiles.activate(profile);
+    try {
+      return fn();
+    } finally {
+      StoreProfiles.activate(previous);
+    }
+  }
+  
+  static activate(profile) {
+    StoreProfiles.active = profile || null;
+    // Nothing read from one store's spreadsheet or API carries over to the next
+    DataFormatter.timeZone = null;
+    DataFormatter.locale = null;
+    ColumnSchema.clearCache();
+    CircuitBreaker.reset();
+    // The Sync Log totals requests per store
+    ApiClient.instances = [];
+  }
+  
+  /**
+   * Script property key for the active profile: the key itself without a profile,
+   * otherwise the key with the profile ID appended, e.g. UPPROMOTE_API_KEY__EU_STORE
+   */
+  static getPropertyKey(key, profile = StoreProfiles.getActive()) {
+    return profile ? `${key}__${StoreProfiles.getId(profile)}` : key;
+  }
+  
+  static getSheetName(sheetName) {
+    const profile = StoreProfiles.getActive();
+    return profile && profile.sheetPrefix ? profile.sheetPrefix + sheetName : sheetName;
+  }
+  
+  static getApiBaseUrl() {
+    const profile = StoreProfiles.getActive();
+    return (profile && profile.baseUrl) || CONFIG.API_BASE_URL;
+  }
+  
+  static getStoreCurrency() {
+    const profile = StoreProfiles.getActive();
+    return (profile && profile.currency) || CONFIG.STORE_CURRENCY;
+  }
+  
+  /**
+   * The active profile's own spreadsheet, opened once per execution; null if it uses the main one
+   */
+  static getSpreadsheet() {
+    const profile = StoreProfiles.getActive();
+    if (!profile || !profile.spreadsheetId) return null;
+    
+    StoreProfiles.spreadsheets = StoreProfiles.spreadsheets || {};
+    if (!StoreProfiles.spreadsheets[profile.spreadsheetId]) {
+      StoreProfiles.spreadsheets[profile.spreadsheetId] = SpreadsheetApp.openById(profile.spreadsheetId);
+    }
+    return StoreProfiles.spreadsheets[profile.spreadsheetId];
+  }
+  
+  /**
+   * The spreadsheet the script belongs to, whatever profile is active; created if there is none.
+   * Settings every store shares live here: the Columns and Rates sheets, and the Store Summary
+   */
+  static getMainSpreadsheet() {
+    const activeSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    if (activeSpreadsheet) {
+      return activeSpreadsheet;
+    }
+    
+    // Create new spreadsheet if none is active
+    const newSpreadsheet = SpreadsheetApp.create(CONFIG.SHEET_NAME);
+    Logger.log('Created new spreadsheet: ' + newSpreadsheet.getUrl());
+    return newSpreadsheet;
+  }
+  
+  /**
+   * Pipeline name for logs and notifications, with the store when a profile is active
+   */
+  static describe(pipeline) {
+    const profile = StoreProfiles.getActive();
+    return profile ? `${pipeline}, store ${profile.name}` : pipeline;
+  }
+}
+
+/**
+ * Sync settings chosen in the settings sidebar, stored in Script Properties
+ */
+class SyncSettings {
+  static get ENDPOINTS_KEY() {
+    return 'UPPROMOTE_SYNC_ENDPOINTS';
+  }
+  
+  /**
+   * Endpoint keys (as in CONFIG.ENDPOINTS) that the pulls should sync; all of them until changed
+   */
+  static getEnabledEndpoints() {
+    const allEndpoints = Object.keys(CONFIG.ENDPOINTS);
+    // Store profiles choose their endpoints in CONFIG.STORE_PROFILES instead
+    const profile = StoreProfiles.getActive();
+    if (profile) {
+      return profile.endpoints ? allEndpoints.filter(endpointKey => profile.endpoints.indexOf(endpointKey) !== -1) : allEndpoints;
+    }
+    const stored = PropertiesService.getScriptProperties().getProperty(this.ENDPOINTS_KEY);
+    if (!stored) {
+      return allEndpoints;
+    }
+    const enabled = JSON.parse(stored);
+    return allEndpoints.filter(endpointKey => enabled.indexOf(endpointKey) !== -1);
+  }
+  
+  static setEnabledEndpoints(endpointKeys) {
+    const enabled = Object.keys(CONFIG.ENDPOINTS).filter(endpointKey => endpointKeys.indexOf(endpointKey) !== -1);
+    if (enabled.length === 0) {
+      throw new Error('Choose at least one endpoint to sync');
+    }
+    PropertiesService.getScriptProperties().setProperty(this.ENDPOINTS_KEY, JSON.stringify(enabled));
+    Logger.log('Endpoints to sync: ' + enabled.join(', '));
+    return enabled;
+  }
+  
+  static isEndpointEnabled(endpointKey) {
+    return this.getEnabledEndpoints().indexOf(endpointKey) !== -1;
+  }
+}
+
+/**
+ * Incremental sync watermarks stored per endpoint in PropertiesService
+ */
+class SyncStateManager {
+  static getPropertyKey(endpointKey) {
+    return StoreProfiles.getPropertyKey('UPPROMOTE_WATERMARK_' + endpointKey);
+  }
+  
+  static getWatermark(endpointKey) {
+    const stored = PropertiesService.getScriptProperties().getProperty(this.getPropertyKey(endpointKey));
+    if (!stored) return null;
+    try {
+      return JSON.parse(stored);
+    } catch (error) {
+      Logger.log(`Ignoring unreadable watermark for ${endpointKey}: ${stored}`);
+      return null;
+    }
+  }
+  
+  static saveWatermark(endpointKey, lastCreatedAt) {
+    const watermark = {
+      lastCreatedAt: lastCreatedAt || 0,
+      lastRunAt: new Date().toISOString()
+    };
+    PropertiesService.getScriptProperties().setProperty(this.getPropertyKey(endpointKey), JSON.stringify(watermark));
+    return watermark;
+  }
+  
+  static getLatestCreatedAt(endpointKey, records, current = 0) {
+    const field = CONFIG.WATERMARK_FIELDS[endpointKey];
+    return records.reduce((latest, record) => Math.max(latest, Number(record[field]) || 0), current);
+  }
+  
+  static clearWatermarks() {
+    const properties = PropertiesService.getScriptProperties();
+    Object.keys(CONFIG.WATERMARK_FIELDS).forEach(endpointKey => {
+      properties.deleteProperty(this.getPropertyKey(endpointKey));
+    });
+  }
+  
+  static getIncrementalParams(endpointKey) {
+    const watermark = this.getWatermark(endpointKey);
+    if (!watermark || !watermark.lastCreatedAt) return {};
+    return this.getCreatedSinceParams(watermark.lastCreatedAt);
+  }
+  
+  /**
+   * Query parameters hinting that only records created since an epoch time are wanted, or none
+   * when CONFIG.INCREMENTAL_PARAM is blank. The date is the UTC day before, so a filter applied
+   * by day in any time zone cannot drop records; callers filter the exact time themselves
+   */
+  static getCreatedSinceParams(epochSeconds) {
+    if (!CONFIG.INCREMENTAL_PARAM) return {};
+    
+    const fromDate = Utilities.formatDate(new Date((epochSeconds - 24 * 60 * 60) * 1000), 'UTC', 'yyyy-MM-dd');
+    return { [CONFIG.INCREMENTAL_PARAM]: fromDate };
+  }
+  
+  /**
+   * Records created after the watermark; the API's date filter is not relied on
+   */
+  static filterNewRecords(endpointKey, records) {
+    const watermark = this.getWatermark(endpointKey);
+    if (!watermark || !watermark.lastCreatedAt) return records;
+    
+    const field = CONFIG.WATERMARK_FIELDS[endpointKey];
+    return records.filter(record => Number(record[field]) > watermark.lastCreatedAt);
+  }
+}
+
+/**
+ * Checkpointed sync run that stops before the execution time limit and resumes from a trigger
+ */
+class ResumableSync {
+  static get CHECKPOINT_KEY() {
+    return 'UPPROMOTE_SYNC_CHECKPOINT';
+  }
+  
+  static get STATUS_KEY() {
+    return 'UPPROMOTE_SYNC_STATUS';
+  }
+  
+  static get RESUME_HANDLER() {
+    return 'resumeUpPromoteSync';
+  }
+  
+  constructor(pipeline, fullResync = false) {
+    // Store profiles synced one after another in an execution share its time limit
+    ResumableSync.executionDeadline = ResumableSync.executionDeadline || Date.now() + CONFIG.MAX_RUNTIME_MS;
+    this.deadline = ResumableSync.executionDeadline;
+    this.paused = false;
+    // Records and pages handled by this execution only, for the Sync Log
+    this.executionCounts = {};
+    
+    const checkpoint = ResumableSync.getCheckpoint();
+    if (checkpoint && checkpoint.pipeline === pipeline && !fullResync) {
+      this.state = checkpoint;
+      this.state.continuations++;
+      Logger.log(`Resuming ${pipeline} sync started at ${checkpoint.runStartedAt} (continuation ${checkpoint.continuations})`);
+      return;
+    }
+    
+    if (checkpoint) {
+      Logger.log(`Discarding unfinished ${checkpoint.pipeline} sync started at ${checkpoint.runStartedAt}`);
+    }
+    if (fullResync) {
+      SyncStateManager.clearWatermarks();
+    }
+    this.state = {
+      pipeline: pipeline,
+      fullResync: fullResync,
+      runStartedAt: new Date().toISOString(),
+      continuations: 0,
+      endpoints: {}
+    };
+  }
+  
+  static getCheckpoint() {
+    const stored = PropertiesService.getScriptProperties().getProperty(StoreProfiles.getPropertyKey(this.CHECKPOINT_KEY));
+    return stored ? JSON.parse(stored) : null;
+  }
+  
+  static clearCheckpoint() {
+    PropertiesService.getScriptProperties().deleteProperty(StoreProfiles.getPropertyKey(this.CHECKPOINT_KEY));
+  }
+  
+  /**
+   * Whether the single-store setup or any store profile has a paused sync waiting for a continuation
+   */
+  static hasAnyCheckpoint() {
+    const properties = PropertiesService.getScriptProperties();
+    return [null].concat(StoreProfiles.getAll()).some(profile => !!properties.getProperty(StoreProfiles.getPropertyKey(this.CHECKPOINT_KEY, profile)));
+  }
+  
+  static getLastStatus() {
+    const stored = PropertiesService.getScriptProperties().getProperty(StoreProfiles.getPropertyKey(this.STATUS_KEY));
+    return stored ? JSON.parse(stored) : null;
+  }
+  
+  static deleteContinuationTriggers() {
+    ScriptApp.getProjectTriggers().forEach(trigger => {
+      if (trigger.getHandlerFunction() === this.RESUME_HANDLER) {
+        ScriptApp.deleteTrigger(trigger);
+      }
+    });
+  }
+  
+  get runStartedAt() {
+    return this.state.runStartedAt;
+  }
+  
+  get fullResync() {
+    return this.state.fullResync;
+  }
+  
+  hasTimeLeft() {
+    return Date.now() < this.deadline;
+  }
+  
+  /**
+   * Sync one endpoint from its checkpointed page, writing rows in batches
+   * Handlers: hasHeaders, fetchPages(params, paging), writeRows(records, lastSeen), markRemoved(runStartedAt)
+   * Returns the number of records written for the endpoint during this sync run
+   */
+  runEndpoint(endpointKey, handlers) {
+    const existing = this.state.endpoints[endpointKey];
+    if (existing && existing.complete && !existing.error) {
+      Logger.log(`Skipping ${endpointKey} - already synced in this run`);
+      return existing.rowsWritten;
+    }
+    if (existing && existing.error) {
+      // Endpoints that failed in an earlier execution get another try from their last page
+      Logger.log(`Retrying ${endpointKey} after earlier failure: ${existing.error}`);
+      existing.complete = false;
+      delete existing.error;
+    }
+    if (this.paused) {
+      return existing ? existing.rowsWritten : 0;
+    }
+    
+    const endpointState = existing || this.startEndpoint(endpointKey, handlers.hasHeaders);
+    const fieldProfile = SchemaDriftMonitor.loadProfile(endpointKey);
+    const executionCounts = this.executionCounts[endpointKey] = { records: 0, pages: 0 };
+    let buffer = [];
+    const flush = nextPage => {
+      if (buffer.length > 0) {
+        handlers.writeRows(buffer, this.runStartedAt);
+        endpointState.rowsWritten += buffer.length;
+        executionCounts.records += buffer.length;
+        buffer = [];
+      }
+      endpointState.nextPage = nextPage;
+      SchemaDriftMonitor.saveProfile(endpointKey, fieldProfile);
+      this.saveCheckpoint();
+    };
+    
+    const result = handlers.fetchPages(endpointState.params, {
+      startPage: endpointState.nextPage,
+      shouldStop: () => !this.hasTimeLeft(),
+      onPage: (records, page) => {
+        executionCounts.pages++;
+        SchemaDriftMonitor.profileRecords(fieldProfile, records);
+        const newRecords = endpointState.incremental ? SyncStateManager.filterNewRecords(endpointKey, records) : records;
+        endpointState.lastCreatedAt = SyncStateManager.getLatestCreatedAt(endpointKey, newRecords, endpointState.lastCreatedAt);
+        buffer.push(...newRecords);
+        if (buffer.length >= CONFIG.WRITE_BATCH_SIZE) {
+          flush(page + 1);
+        }
+      }
+    });
+    flush(result.nextPage);
+    
+    if (!result.complete) {
+      this.paused = true;
+      Logger.log(`Paused ${endpointKey} at page ${result.nextPage} after ${endpointState.rowsWritten} records`);
+      return endpointState.rowsWritten;
+    }
+    
+    // An empty full pull is more likely an API hiccup than every record being deleted
+    if (!endpointState.incremental && CONFIG.MARK_REMOVED_ROWS && endpointState.rowsWritten > 0) {
+      const removed = handlers.markRemoved(this.runStartedAt);
+      Logger.log(`Marked ${removed} ${endpointKey.toLowerCase()} rows as removed`);
+    }
+    
+    try {
+      SchemaDriftMonitor.report(endpointKey, fieldProfile);
+    } catch (error) {
+      ErrorReporter.logError('SchemaDriftMonitor.report', error, { endpoint: endpointKey });
+    }
+    SchemaDriftMonitor.clearProfile(endpointKey);
+    
+    SyncStateManager.saveWatermark(endpointKey, endpointState.lastCreatedAt);
+    endpointState.complete = true;
+    this.saveCheckpoint();
+    
+    Logger.log(`Successfully pulled ${endpointState.rowsWritten} ${endpointState.incremental ? 'new ' : ''}${endpointKey.toLowerCase()}`);
+    return endpointState.rowsWritten;
+  }
+  
+  startEndpoint(endpointKey, hasHeaders) {
+    const watermark = SyncStateManager.getWatermark(endpointKey);
+    // Sheets filled before watermarks existed have headers but no watermark, so they get one full pull
+    const incremental = !this.state.fullResync && hasHeaders && !!watermark;
+    
+    // Params are fixed for the whole run so page numbers stay stable across continuations
+    const endpointState = {
+      incremental: incremental,
+      params: incremental ? SyncStateManager.getIncrementalParams(endpointKey) : {},
+      nextPage: 1,
+      rowsWritten: 0,
+      lastCreatedAt: watermark ? watermark.lastCreatedAt : 0,
+      complete: false
+    };
+    this.state.endpoints[endpointKey] = endpointState;
+    SchemaDriftMonitor.clearProfile(endpointKey);
+    return endpointState;
+  }
+  
+  failEndpoint(endpointKey, error) {
+    const endpointState = this.state.endpoints[endpointKey] || { rowsWritten: 0 };
+    endpointState.complete = true;
+    endpointState.error = error.toString();
+    this.state.endpoints[endpointKey] = endpointState;
+    this.saveCheckpoint();
+  }
+  
+  saveCheckpoint() {
+    PropertiesService.getScriptProperties().setProperty(StoreProfiles.getPropertyKey(ResumableSync.CHECKPOINT_KEY), JSON.stringify(this.state));
+  }
+  
+  getEndpointErrors() {
+    const errors = {};
+    Object.keys(this.state.endpoints).forEach(endpointKey => {
+      if (this.state.endpoints[endpointKey].error) {
+        errors[endpointKey] = this.state.endpoints[endpointKey].error;
+      }
+    });
+    return errors;
+  }
+  
+  getRowCounts() {
+    const counts = {};
+    Object.keys(this.state.endpoints).forEach(endpointKey => {
+      counts[endpointKey] = this.state.endpoints[endpointKey].rowsWritten;
+    });
+    return counts;
+  }
+  
+  /**
+   * Finish this execution's pulls: clear the checkpoint, or keep it and schedule a continuation
+   * Once the pulls are complete, the named report passes are added to the checkpoint, which is kept
+   * with its continuation until runPasses has finished them, so a pass that is cut off runs again
+   */
+  close(passNames = []) {
+    if (!this.paused && !this.state.pendingPasses) {
+      this.state.pendingPasses = passNames.slice();
+    }
+    
+    if (this.paused || this.state.pendingPasses.length > 0) {
+      ResumableSync.deleteContinuationTriggers();
+      this.saveCheckpoint();
+      ScriptApp.newTrigger(ResumableSync.RESUME_HANDLER)
+        .timeBased()
+        .after(CONFIG.RESUME_DELAY_MS)
+        .create();
+      Logger.log(`Sync ${this.paused ? 'paused' : 'reports pending'} - continuation scheduled in ${CONFIG.RESUME_DELAY_MS / 1000} seconds`);
+    } else {
+      this.finish();
+    }
+    
+    const status = {
+      state: this.paused ? 'in_progress' : 'complete',
+      pipeline: this.state.pipeline,
+      fullResync: this.state.fullResync,
+      runStartedAt: this.state.runStartedAt,
+      updatedAt: new Date().toISOString(),
+      continuations: this.state.continuations,
+      rowCounts: this.getRowCounts(),
+      failedEndpoints: Object.keys(this.state.endpoints).filter(endpointKey => this.state.endpoints[endpointKey].error),
+      endpointErrors: this.getEndpointErrors()
+    };
+    PropertiesService.getScriptProperties().setProperty(StoreProfiles.getPropertyKey(ResumableSync.STATUS_KEY), JSON.stringify(status));
+    return status;
+  }
+  
+  /**
+   * Run the report passes left in the checkpoint by close(), in order; passes maps each name to its function
+   * No pass is started after the deadline: the rest stay in the checkpoint for the scheduled continuation.
+   * Returns whether every pass has run, in which case the checkpoint is cleared.
+   */
+  runPasses(passes) {
+    if (this.paused) return false;
+    
+    const pending = this.state.pendingPasses;
+    while (pending.length > 0) {
+      if (!this.hasTimeLeft()) {
+        Logger.log(`Out of time before the ${pending.join(', ')} passes - they run in the continuation`);
+        return false;
+      }
+      passes[pending[0]]();
+      pending.shift();
+      this.saveCheckpoint();
+    }
+    
+    this.finish();
+    return true;
+  }
+  
+  finish() {
+    ResumableSync.clearCheckpoint();
+    // Another store profile may still be waiting for the scheduled continuation
+    if (!ResumableSync.hasAnyCheckpoint()) {
+      ResumableSync.deleteContinuationTriggers();
+    }
+  }
+}
+
+/**
+ * Failed API call with the status code and any structured validation errors from the response
+ */
+class ApiError extends Error {
+  constructor(message, status, errors = {}, body = '') {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.errors = errors;
+    this.body = body;
+  }
+  
+  /**
+   * Build an ApiError from a non-2xx response, reading { message, errors } JSON bodies when present
+   */
+  static fromResponse(method, endpoint, response) {
+    const status = response.getResponseCode();
+    const body = response.getContentText();
+    let message = body;
+    let errors = {};
+    
+    try {
+      const parsed = JSON.parse(body);
+      message = parsed.message || parsed.error || body;
+      errors = parsed.errors || {};
+    } catch (error) {
+      // Not JSON - keep the raw text as the message
+    }
+    
+    if (status === 429) {
+      message = 'Rate limit exceeded, max retries reached';
+    }
+    
+    const apiError = new ApiError(`API request failed with status ${status}: ${message}`, status, errors, body);
+    apiError.method = method;
+    apiError.endpoint = endpoint;
+    return apiError;
+  }
+  
+  isValidationError() {
+    return this.status === 422 || Object.keys(this.errors).length > 0;
+  }
+  
+  /**
+   * Flatten validation errors into "field: message" strings for sheets and logs
+   */
+  getErrorMessages() {
+    const messages = [];
+    Object.keys(this.errors).forEach(field => {
+      const fieldErrors = Array.isArray(this.errors[field]) ? this.errors[field] : [this.errors[field]];
+      fieldErrors.forEach(fieldError => messages.push(`${field}: ${fieldError}`));
+    });
+    return messages.length > 0 ? messages : [this.message];
+  }
+}
+
+/**
+ * Raised when the circuit breaker has tripped; aborts the whole run instead of one endpoint
+ */
+class CircuitBreakerOpenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CircuitBreakerOpenError';
+  }
+}
+
+/**
+ * Execution-wide circuit breaker that trips after repeated consecutive request failures
+ */
+class CircuitBreaker {
+  static check() {
+    if (CircuitBreaker.isOpen) {
+      throw new CircuitBreakerOpenError(`Circuit breaker open after ${CircuitBreaker.consecutiveFailures} consecutive failed requests`);
+    }
+  }
+  
+  /**
+   * Only 2xx responses reset the failure count; client errors (4xx) leave it as it is
+   */
+  static isSuccess(responseCode) {
+    return responseCode >= 200 && responseCode < 300;
+  }
+  
+  static recordSuccess() {
+    CircuitBreaker.consecutiveFailures = 0;
+  }
+  
+  static recordFailure() {
+    CircuitBreaker.consecutiveFailures = (CircuitBreaker.consecutiveFailures || 0) + 1;
+    if (CircuitBreaker.consecutiveFailures >= CONFIG.CIRCUIT_BREAKER_THRESHOLD) {
+      CircuitBreaker.isOpen = true;
+      Logger.log(`Circuit breaker tripped after ${CircuitBreaker.consecutiveFailures} consecutive failed requests - aborting run`);
+      CircuitBreaker.check();
+    }
+  }
+  
+  static reset() {
+    CircuitBreaker.consecutiveFailures = 0;
+    CircuitBreaker.isOpen = false;
+  }
+}
+
+/**
+ * Retry rules for a single request: what is retryable and how long to back off
+ */
+class RetryPolicy {
+  constructor(maxRetries = CONFIG.MAX_RETRIES) {
+    this.maxRetries = maxRetries;
+    this.retryCount = 0;
+  }
+  
+  static get RETRYABLE_STATUS_CODES() {
+    return [429, 500, 502, 503, 504];
+  }
+  
+  static get TRANSIENT_ERROR_PATTERN() {
+    return /timeout|timed out|address unavailable|dns error|connection reset|unexpected error/i;
+  }
+  
+  isRetryableStatus(responseCode) {
+    return RetryPolicy.RETRYABLE_STATUS_CODES.indexOf(responseCode) !== -1;
+  }
+  
+  isTransientError(error) {
+    return RetryPolicy.TRANSIENT_ERROR_PATTERN.test(error.toString());
+  }
+  
+  /**
+   * Delay before the next attempt: Retry-After if the server sent one, else jittered exponential back-off
+   */
+  getDelay(attempt, response) {
+    const retryAfter = response ? this.parseRetryAfter(response) : null;
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, CONFIG.RETRY_MAX_DELAY_MS);
+    }
+    
+    const backoff = CONFIG.RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+    const jittered = backoff / 2 + Math.random() * backoff; // 0.5x to 1.5x
+    return Math.min(Math.round(jittered), CONFIG.RETRY_MAX_DELAY_MS);
+  }
+  
+  parseRetryAfter(response) {
+    const headers = response.getHeaders ? response.getHeaders() : {};
+    const headerName = Object.keys(headers).find(name => name.toLowerCase() === 'retry-after');
+    if (!headerName) return null;
+    
+    // Either delay-seconds or an HTTP date
+    const value = headers[headerName];
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return seconds * 1000;
+    
+    const retryAt = new Date(value).getTime();
+    return isNaN(retryAt) ? null : Math.max(0, retryAt - Date.now());
+  }
+  
+  wait(attempt, reason, response) {
+    const delay = this.getDelay(attempt, response);
+    Logger.log(`${reason}, retrying in ${delay}ms (${attempt + 1}/${this.maxRetries})`);
+    Utilities.sleep(delay);
+    this.retryCount++;
+  }
+}
+
+/**
+ * Completed write requests by idempotency key, so a repeated call returns the first result
+ */
+class IdempotencyStore {
+  static get CACHE_PREFIX() {
+    return 'upp_idem_';
+  }
+  
+  static get TTL_SECONDS() {
+    return 6 * 60 * 60; // CacheService maximum
+  }
+  
+  static get(idempotencyKey) {
+    const entry = this.getEntry(idempotencyKey);
+    return entry ? entry.result : null;
+  }
+  
+  /**
+   * The recorded { result, recordedAt } for a key, or null; recordedAt is an ISO timestamp
+   */
+  static getEntry(idempotencyKey) {
+    const cached = CacheService.getScriptCache().get(this.CACHE_PREFIX + idempotencyKey);
+    if (!cached) return null;
+    
+    const entry = JSON.parse(cached);
+    // Entries written before recordedAt was kept hold the bare result
+    return entry && entry.recordedAt ? entry : { result: entry, recordedAt: null };
+  }
+  
+  static record(idempotencyKey, result) {
+    const entry = { result: result, recordedAt: new Date().toISOString() };
+    CacheService.getScriptCache().put(this.CACHE_PREFIX + idempotencyKey, JSON.stringify(entry), this.TTL_SECONDS);
+  }
+}
+
+/**
+ * Cached results of spreadsheet custom functions, so recalculation does not repeat API calls
+ */
+class FunctionResultCache {
+  static get CACHE_PREFIX() {
+    return 'upp_fn_';
+  }
+  
+  /**
+   * Cache key for a function name and its arguments (CacheService keys are limited to 250 characters)
+   */
+  static getKey(name, args) {
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify([name, args]), Utilities.Charset.UTF_8);
+    return this.CACHE_PREFIX + name + '_' + Utilities.base64Encode(digest);
+  }
+  
+  /**
+   * Return the cached value for name(args), or compute and cache it
+   */
+  static getOrCompute(name, args, compute) {
+    const cache = CacheService.getScriptCache();
+    const key = this.getKey(name, args);
+    const cached = cache.get(key);
+    if (cached !== null) {
+      return JSON.parse(cached);
+    }
+    
+    // Lookups that found nothing are not cached, so new records show up on the next recalculation
+    const value = compute();
+    if (value !== null && value !== undefined) {
+      cache.put(key, JSON.stringify(value), CONFIG.CUSTOM_FUNCTION_CACHE_SECONDS);
+    }
+    return value;
+  }
+}
+
 /**
  * Rate limiting and retry logic for API requests
  */
-class ApiClient {
-  constructor(baseUrl, apiKey, maxRetries = 3) {
-    this.baseUrl = baseUrl;
-    this.apiKey = apiKey;
-    this.maxRetries = maxRetries;
-    this.requestCount = 0;
+class ApiClient {
+  constructor(baseUrl, apiKey, maxRetries = CONFIG.MAX_RETRIES) {
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+    this.maxRetries = maxRetries;
+    this.retryPolicy = new RetryPolicy(maxRetries);
+    this.requestCount = 0;
+    this.pagesFetched = 0;
+    
+    // Every client of this execution, so the Sync Log can total requests across them
+    ApiClient.instances = ApiClient.instances || [];
+    ApiClient.instances.push(this);
+  }
+  
+  /**
+   * Requests, retries and pages of every client created during this execution
+   */
+  static getExecutionTotals() {
+    return (ApiClient.instances || []).reduce((totals, client) => ({
+      requests: totals.requests + client.requestCount,
+      retries: totals.retries + client.retryPolicy.retryCount,
+      pages: totals.pages + client.pagesFetched
+    }), { requests: 0, retries: 0, pages: 0 });
+  }
+  
+  static get PAGE_SIZE() {
+    return 100; // Maximum allowed per request
+  }
+  
+  /**
+   * Client for the stored API key, falling back to CONFIG.API_KEY
+   * With a store profile active, only that store's key is used
+   */
+  static fromConfig() {
+    const profile = StoreProfiles.getActive();
+    const apiKey = ApiKeyManager.getApiKey() || (profile ? '' : CONFIG.API_KEY);
+    if (!apiKey) {
+      throw new Error(profile
+        ? `API key not found for store "${profile.name}". Please run setupStoreApiKey() first.`
+        : 'API key not configured. Please run setupScript() or set CONFIG.API_KEY.');
+    }
+    return new ApiClient(StoreProfiles.getApiBaseUrl(), apiKey);
+  }
+  
+  /**
+   * Fetch every page of an endpoint
+   * Paging options: startPage, onPage(records, page) to stream pages instead of collecting them,
+   * and shouldStop() to end early with { complete: false, nextPage }
+   * Once the first response reveals meta.last_page, the remaining pages are fetched in
+   * concurrent batches of CONFIG.FETCH_CONCURRENCY
+   */
+  makeRequest(endpoint, params = {}, paging = {}) {
+    const allData = [];
+    let recordCount = 0;
+    let page = paging.startPage || 1;
+    
+    const handlePage = (responseData, pageNumber) => {
+      this.pagesFetched++;
+      const records = responseData.data || [];
+      if (records.length === 0) return;
+      
+      if (paging.onPage) {
+        paging.onPage(records, pageNumber);
+      } else {
+        allData.push(...records);
+      }
+      recordCount += records.length;
+      Logger.log(`Page ${pageNumber}: Retrieved ${records.length} records from ${endpoint}`);
+    };
+    const stopped = () => {
+      Logger.log(`Stopping ${endpoint} before page ${page} - execution time budget reached`);
+      return { data: allData, nextPage: page, complete: false };
+    };
+    
+    if (paging.shouldStop && paging.shouldStop()) return stopped();
+    
+    const firstResponse = this.fetchPage(endpoint, params, page);
+    handlePage(firstResponse, page);
+    page++;
+    
+    const lastPage = firstResponse.meta && firstResponse.data && firstResponse.data.length > 0
+      ? Number(firstResponse.meta.last_page)
+      : null;
+    
+    if (lastPage) {
+      // Page count is known: fetch the rest in bounded concurrent batches
+      const concurrency = Math.max(1, CONFIG.FETCH_CONCURRENCY || 1);
+      while (page <= lastPage) {
+        if (paging.shouldStop && paging.shouldStop()) return stopped();
+        
+        const batch = [];
+        for (let batchPage = page; batchPage <= lastPage && batch.length < concurrency; batchPage++) {
+          batch.push(batchPage);
+        }
+        
+        const responses = this.fetchPagesConcurrently(endpoint, params, batch);
+        responses.forEach((responseData, index) => handlePage(responseData, batch[index]));
+        page = batch[batch.length - 1] + 1;
+      }
+    } else {
+      // No page count: walk pages one at a time until the API runs out
+      let responseData = firstResponse;
+      while (this.hasMorePages(responseData)) {
+        if (paging.shouldStop && paging.shouldStop()) return stopped();
+        
+        responseData = this.fetchPage(endpoint, params, page);
+        handlePage(responseData, page);
+        page++;
+      }
+    }
+    
+    Logger.log(`Total records retrieved from ${endpoint}: ${recordCount}`);
+    return { data: allData, nextPage: page, complete: true };
+  }
+  
+  /**
+   * Fetch and parse a single page, retrying retryable statuses and transient errors
+   */
+  fetchPage(endpoint, params, page) {
+    const url = this.buildUrl(endpoint, params, page);
+    
+    for (let attempt = 0; ; attempt++) {
+      CircuitBreaker.check();
+      
+      let response;
+      try {
+        this.throttle();
+        response = UrlFetchApp.fetch(url, this.buildRequestOptions());
+        this.requestCount++;
+      } catch (error) {
+        CircuitBreaker.recordFailure();
+        if (attempt < this.maxRetries && this.retryPolicy.isTransientError(error)) {
+          this.retryPolicy.wait(attempt, `Request error for ${endpoint} (page ${page}): ${error.message}`);
+          continue;
+        }
+        
+        Logger.log(`API request error for ${endpoint} (page ${page}): ${error.toString()}`);
+        throw error;
+      }
+      
+      const responseCode = response.getResponseCode();
+      if (this.retryPolicy.isRetryableStatus(responseCode)) {
+        CircuitBreaker.recordFailure();
+        if (attempt < this.maxRetries) {
+          this.retryPolicy.wait(attempt, `HTTP ${responseCode} for ${endpoint} (page ${page})`, response);
+          continue;
+        }
+      } else if (CircuitBreaker.isSuccess(responseCode)) {
+        CircuitBreaker.recordSuccess();
+      }
+      
+      return this.parseResponse(response, endpoint);
+    }
+  }
+  
+  /**
+   * Fetch several pages at once with UrlFetchApp.fetchAll, re-requesting only the pages that failed
+   * Returns parsed responses in the same order as pages
+   */
+  fetchPagesConcurrently(endpoint, params, pages) {
+    if (pages.length === 1) {
+      return [this.fetchPage(endpoint, params, pages[0])];
+    }
+    
+    const results = {};
+    let pending = pages;
+    
+    for (let attempt = 0; pending.length > 0; attempt++) {
+      CircuitBreaker.check();
+      this.throttle();
+      
+      let responses;
+      try {
+        responses = UrlFetchApp.fetchAll(pending.map(page => ({
+          url: this.buildUrl(endpoint, params, page),
+          ...this.buildRequestOptions()
+        })));
+        this.requestCount += pending.length;
+      } catch (error) {
+        // fetchAll fails as a whole on network errors, so fall back to page-by-page retries
+        Logger.log(`Batch fetch failed for ${endpoint} (pages ${pending.join(', ')}): ${error.toString()}`);
+        pending.forEach(page => {
+          results[page] = this.fetchPage(endpoint, params, page);
+        });
+        break;
+      }
+      
+      const retryPages = [];
+      let retryResponse = null;
+      responses.forEach((response, index) => {
+        if (this.retryPolicy.isRetryableStatus(response.getResponseCode()) && attempt < this.maxRetries) {
+          retryPages.push(pending[index]);
+          retryResponse = retryResponse || response;
+        } else {
+          results[pending[index]] = this.parseResponse(response, endpoint);
+        }
+      });
+      
+      if (retryPages.length > 0) {
+        CircuitBreaker.recordFailure();
+        this.retryPolicy.wait(attempt, `HTTP ${retryResponse.getResponseCode()} for ${endpoint} (pages ${retryPages.join(', ')})`, retryResponse);
+      } else if (responses.every(response => CircuitBreaker.isSuccess(response.getResponseCode()))) {
+        CircuitBreaker.recordSuccess();
+      }
+      pending = retryPages;
+    }
+    
+    return pages.map(page => results[page]);
+  }
+  
+  /**
+   * Send a write request (POST, PUT, PATCH or DELETE) with an optional JSON body
+   * Options: idempotencyKey identifies the logical operation; it is sent as an Idempotency-Key
+   * header, lets non-idempotent requests be retried, and a key that already succeeded within
+   * the last six hours returns the recorded result instead of calling the API again.
+   * Throws ApiError with any validation errors from the response.
+   */
+  request(method, endpoint, body = null, options = {}) {
+    const httpMethod = method.toUpperCase();
+    const idempotencyKey = options.idempotencyKey || null;
+    
+    if (idempotencyKey) {
+      const previous = IdempotencyStore.get(idempotencyKey);
+      if (previous) {
+        Logger.log(`Skipping ${httpMethod} ${endpoint} - already applied with idempotency key ${idempotencyKey}`);
+        return previous;
+      }
+    }
+    
+    // Without a key, only retry POSTs the server refused outright (429)
+    const canRetry = idempotencyKey || httpMethod !== 'POST';
+    const url = this.baseUrl + endpoint;
+    const requestOptions = this.buildRequestOptions(httpMethod, body);
+    if (idempotencyKey) {
+      requestOptions.headers['Idempotency-Key'] = idempotencyKey;
+    }
+    
+    for (let attempt = 0; ; attempt++) {
+      CircuitBreaker.check();
+      
+      let response;
+      try {
+        this.throttle();
+        response = UrlFetchApp.fetch(url, requestOptions);
+        this.requestCount++;
+      } catch (error) {
+        CircuitBreaker.recordFailure();
+        if (canRetry && attempt < this.maxRetries && this.retryPolicy.isTransientError(error)) {
+          this.retryPolicy.wait(attempt, `Request error for ${httpMethod} ${endpoint}: ${error.message}`);
+          continue;
+        }
+        
+        Logger.log(`API request error for ${httpMethod} ${endpoint}: ${error.toString()}`);
+        throw error;
+      }
+      
+      const responseCode = response.getResponseCode();
+      if (this.retryPolicy.isRetryableStatus(responseCode)) {
+        CircuitBreaker.recordFailure();
+        if ((canRetry || responseCode === 429) && attempt < this.maxRetries) {
+          this.retryPolicy.wait(attempt, `HTTP ${responseCode} for ${httpMethod} ${endpoint}`, response);
+          continue;
+        }
+      } else if (CircuitBreaker.isSuccess(responseCode)) {
+        CircuitBreaker.recordSuccess();
+      }
+      
+      if (responseCode < 200 || responseCode >= 300) {
+        throw ApiError.fromResponse(httpMethod, endpoint, response);
+      }
+      
+      const text = response.getContentText();
+      const result = text ? JSON.parse(text) : {};
+      if (idempotencyKey) {
+        IdempotencyStore.record(idempotencyKey, result);
+      }
+      return result;
+    }
+  }
+  
+  post(endpoint, body, options = {}) {
+    return this.request('POST', endpoint, body, options);
+  }
+  
+  put(endpoint, body, options = {}) {
+    return this.request('PUT', endpoint, body, options);
+  }
+  
+  delete(endpoint, options = {}) {
+    return this.request('DELETE', endpoint, null, options);
+  }
+  
+  parseResponse(response, endpoint = '') {
+    if (response.getResponseCode() !== 200) {
+      // Retryable statuses only get here once the retries are used up
+      throw ApiError.fromResponse('GET', endpoint, response);
+    }
+    
+    return JSON.parse(response.getContentText());
+  }
+  
+  hasMorePages(responseData) {
+    if (!responseData.data || responseData.data.length === 0) {
+      return false;
+    }
+    if (responseData.meta) {
+      return responseData.meta.current_page < responseData.meta.last_page;
+    }
+    if (responseData.links && responseData.links.next) {
+      return true;
+    }
+    return responseData.data.length === ApiClient.PAGE_SIZE; // If we got max records, there might be more
+  }
+  
+  buildUrl(endpoint, params, page) {
+    // Add pagination parameters
+    const paginationParams = {
+      ...params,
+      limit: ApiClient.PAGE_SIZE,
+      page: page
+    };
+    
+    const queryString = '?' + Object.keys(paginationParams)
+      .map(key => `${key}=${encodeURIComponent(paginationParams[key])}`)
+      .join('&');
+    return this.baseUrl + endpoint + queryString;
+  }
+  
+  buildRequestOptions(method = 'GET', body = null) {
+    const options = {
+      method: method,
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      muteHttpExceptions: true // Inspect status codes ourselves instead of throwing
+    };
+    
+    if (body !== null) {
+      options.contentType = 'application/json';
+      options.payload = JSON.stringify(body);
+    }
+    return options;
+  }
+  
+  throttle() {
+    // Add delay to respect rate limits
+    if (this.requestCount > 0) {
+      Utilities.sleep(CONFIG.REQUEST_DELAY_MS);
+    }
+  }
+}
+
+/**
+ * Data formatting and validation utilities
+ */
+class DataFormatter {
+  // Sheet number formats; the spreadsheet locale decides separators and the time zone decides the shown time
+  static get DATE_TIME_FORMAT() { return 'yyyy-mm-dd hh:mm:ss'; }
+  static get DATE_FORMAT() { return 'yyyy-mm-dd'; }
+  static get PERCENT_FORMAT() { return '0.0%'; }
+  
+  /**
+   * Time zone of the spreadsheet, falling back to the script's (appsscript.json)
+   */
+  static getTimeZone() {
+    if (!DataFormatter.timeZone) {
+      try {
+        DataFormatter.timeZone = getOrCreateSpreadsheet().getSpreadsheetTimeZone();
+      } catch (error) {
+        DataFormatter.timeZone = Session.getScriptTimeZone();
+      }
+    }
+    return DataFormatter.timeZone;
+  }
+  
+  /**
+   * BCP 47 locale of the spreadsheet, e.g. "de-DE" for the spreadsheet locale "de_DE"
+   */
+  static getLocale() {
+    if (!DataFormatter.locale) {
+      try {
+        DataFormatter.locale = getOrCreateSpreadsheet().getSpreadsheetLocale().replace('_', '-');
+      } catch (error) {
+        DataFormatter.locale = 'en-US';
+      }
+    }
+    return DataFormatter.locale;
+  }
+  
+  /**
+   * Sheet number format that shows an amount with the currency's symbol
+   */
+  static getCurrencyFormat(currency = StoreProfiles.getStoreCurrency()) {
+    let symbol = currency;
+    const decimals = DataFormatter.getCurrencyDecimals(currency);
+    try {
+      const format = new Intl.NumberFormat(DataFormatter.getLocale(), { style: 'currency', currency: currency });
+      symbol = format.formatToParts(0).filter(part => part.type === 'currency').map(part => part.value).join('') || currency;
+    } catch (error) {
+      // Unknown currency codes are shown as the code itself
+    }
+    return `[$${symbol.replace(/"/g, '')}]#,##0${decimals > 0 ? '.' + '0'.repeat(decimals) : ''}`;
+  }
+  
+  /**
+   * Number of minor-unit digits the currency uses (0 for JPY and KRW, 3 for KWD); 2 if unknown
+   */
+  static getCurrencyDecimals(currency = StoreProfiles.getStoreCurrency()) {
+    try {
+      return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency }).resolvedOptions().maximumFractionDigits;
+    } catch (error) {
+      return 2;
+    }
+  }
+  
+  /**
+   * Amount rounded to the currency's minor unit
+   */
+  static roundToCurrency(amount, currency = StoreProfiles.getStoreCurrency()) {
+    const factor = Math.pow(10, DataFormatter.getCurrencyDecimals(currency));
+    return Math.round(amount * factor) / factor;
+  }
+  
+  static formatDate(dateString) {
+    if (!dateString) return '';
+    try {
+      return Utilities.formatDate(new Date(dateString), DataFormatter.getTimeZone(), 'yyyy-MM-dd HH:mm:ss');
+    } catch (error) {
+      return dateString;
+    }
+  }
+  
+  /**
+   * Amount as text in the spreadsheet locale, for messages; sheet cells hold numbers with getCurrencyFormat
+   */
+  static formatCurrency(amount, currency = StoreProfiles.getStoreCurrency()) {
+    if (amount === null || amount === undefined || amount === '') return '';
+    try {
+      return new Intl.NumberFormat(DataFormatter.getLocale(), {
+        style: 'currency',
+        currency: currency
+      }).format(amount);
+    } catch (error) {
+      return amount;
+    }
+  }
+  
+  /**
+   * Date from a sheet cell that holds either a Date or a date string; null if it is neither
+   */
+  static parseDate(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  
+  /**
+   * Number from a sheet cell that may hold a formatted amount such as "$1,234.50"
+   */
+  static parseAmount(value) {
+    if (typeof value === 'number') return value;
+    const amount = parseFloat(String(value || '').replace(/[^0-9.-]/g, ''));
+    return isNaN(amount) ? 0 : amount;
+  }
+  
+  /**
+   * Canonical text for comparing a sheet cell with an API or imported value, so that
+   * 1 and "1.0", a Date and its ISO string, and TRUE and "true" count as equal
+   */
+  static toComparable(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? '' : value.toISOString();
+    }
+    if (typeof value === 'boolean') return String(value);
+    if (typeof value === 'number') return String(value);
+    
+    const text = DataFormatter.sanitizeString(value);
+    if (/^(true|false)$/i.test(text)) return text.toLowerCase();
+    if (/^-?\d+(\.\d+)?$/.test(text)) return String(Number(text));
+    if (/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(text)) {
+      const date = new Date(text.replace(' ', 'T'));
+      if (!isNaN(date.getTime())) return date.toISOString();
+    }
+    return text;
+  }
+  
+  static validateEmail(email) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+  }
+  
+  static sanitizeString(str) {
+    if (!str) return '';
+    return str.toString().replace(/[\r\n\t]/g, ' ').trim();
+  }
+}
+
+/**
+ * Declarative column schema for one endpoint's sheet: which API fields become which columns and how
+ * they are rendered. Defaults come from COLUMN_SCHEMAS; the Columns sheet overrides them.
+ */
+class ColumnSchema {
+  static get SHEET_NAME() { return 'Columns'; }
+  static get SHEET_HEADERS() { return ['Endpoint', 'Source', 'Header', 'Type', 'Values', 'Default', 'Include']; }
+  static get TYPES() { return ['text', 'number', 'currency', 'date-from-epoch', 'enum']; }
+  
+  constructor(endpointKey, columns) {
+    this.endpointKey = endpointKey;
+    this.columns = [];
+    
+    const seen = {};
+    columns.forEach(column => {
+      if (seen[column.header]) {
+        Logger.log(`Column schema ${endpointKey}: duplicate header "${column.header}" ignored`);
+        return;
+      }
+      seen[column.header] = true;
+      this.columns.push(column);
+    });
+    
+    // Rows are matched on the ID column, so it is always rendered
+    if (!seen[SheetUpsertWriter.KEY_HEADER]) {
+      this.columns.unshift({ source: 'id', header: SheetUpsertWriter.KEY_HEADER, type: 'number' });
+    }
+  }
+  
+  /**
+   * Schema for an endpoint, read once per execution
+   */
+  static forEndpoint(endpointKey) {
+    ColumnSchema.cache = ColumnSchema.cache || {};
+    if (!ColumnSchema.cache[endpointKey]) {
+      const overrides = ColumnSchema.readColumnsSheet();
+      const columns = overrides[endpointKey] || COLUMN_SCHEMAS[endpointKey];
+      if (!columns) {
+        throw new Error(`No column schema for endpoint ${endpointKey}`);
+      }
+      ColumnSchema.cache[endpointKey] = new ColumnSchema(endpointKey, columns);
+    }
+    return ColumnSchema.cache[endpointKey];
+  }
+  
+  static clearCache() {
+    ColumnSchema.cache = {};
+    ColumnSchema.overrides = null;
+  }
+  
+  /**
+   * Included columns from the Columns sheet, grouped by endpoint in sheet order
+   * Endpoints without any rows in the sheet keep their default schema
+   */
+  static readColumnsSheet() {
+    if (ColumnSchema.overrides) {
+      return ColumnSchema.overrides;
+    }
+    
+    const overrides = {};
+    const sheet = StoreProfiles.getMainSpreadsheet().getSheetByName(ColumnSchema.SHEET_NAME);
+    readSheetRecords(sheet).forEach(record => {
+      const endpointKey = String(record.Endpoint).trim().toUpperCase();
+      const source = String(record.Source).trim();
+      if (!endpointKey || !source) return;
+      
+      overrides[endpointKey] = overrides[endpointKey] || [];
+      if (record.Include === false || /^(false|no|n)$/i.test(String(record.Include).trim())) return;
+      
+      let type = String(record.Type).trim().toLowerCase() || 'text';
+      if (ColumnSchema.TYPES.indexOf(type) === -1) {
+        Logger.log(`Columns sheet row ${record.rowNumber}: unknown type "${record.Type}", using text`);
+        type = 'text';
+      }
+      
+      const column = {
+        source: source,
+        header: String(record.Header).trim() || source,
+        type: type,
+        values: ColumnSchema.parseValues(record.Values)
+      };
+      if (record.Default !== '') {
+        column.default = record.Default;
+      }
+      overrides[endpointKey].push(column);
+    });
+    
+    ColumnSchema.overrides = overrides;
+    return overrides;
+  }
+  
+  /**
+   * Write the default schemas to a new Columns sheet so they can be edited there
+   */
+  static setupSheet(spreadsheet) {
+    let sheet = spreadsheet.getSheetByName(ColumnSchema.SHEET_NAME);
+    if (sheet && sheet.getLastRow() > 0) {
+      return sheet;
+    }
+    sheet = sheet || spreadsheet.insertSheet(ColumnSchema.SHEET_NAME);
+    
+    const rows = [];
+    Object.keys(COLUMN_SCHEMAS).forEach(endpointKey => {
+      COLUMN_SCHEMAS[endpointKey].forEach(column => {
+        rows.push([
+          endpointKey,
+          column.source,
+          column.header,
+          column.type || 'text',
+          ColumnSchema.formatValues(column.values),
+          column.default !== undefined ? column.default : '',
+          true
+        ]);
+      });
+    });
+    
+    const headers = ColumnSchema.SHEET_HEADERS;
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    sheet.setFrozenRows(1);
+    
+    const typeRule = SpreadsheetApp.newDataValidation()
+      .requireValueInList(ColumnSchema.TYPES, true)
+      .setAllowInvalid(false)
+      .build();
+    sheet.getRange(2, headers.indexOf('Type') + 1, Math.max(1, sheet.getMaxRows() - 1), 1).setDataValidation(typeRule);
+    sheet.getRange(2, headers.indexOf('Include') + 1, rows.length, 1).insertCheckboxes();
+    sheet.autoResizeColumns(1, headers.length);
+    
+    ColumnSchema.clearCache();
+    return sheet;
+  }
+  
+  /**
+   * Parse an enum map written as "1=Active; 0=Inactive"
+   */
+  static parseValues(text) {
+    const values = {};
+    String(text || '').split(';').forEach(pair => {
+      const index = pair.indexOf('=');
+      if (index > 0) {
+        values[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+      }
+    });
+    return values;
+  }
+  
+  static formatValues(values) {
+    return Object.keys(values || {}).map(key => `${key}=${values[key]}`).join('; ');
+  }
+  
+  getHeaders() {
+    return this.columns.map(column => column.header);
+  }
+  
+  /**
+   * Header of the column rendered from an API field path, or null when no column reads it
+   */
+  getHeader(source) {
+    const column = this.columns.find(candidate => candidate.source === source);
+    return column ? column.header : null;
+  }
+  
+  /**
+   * Records of a pulled sheet keyed by the default headers in COLUMN_SCHEMAS, whatever the Columns
+   * sheet renamed them to, so the reports read the same fields after a column edit. A column that is
+   * unticked reads as missing. Throws when a required source is unticked, or (see
+   * SheetUpsertWriter.requireColumns) when its column is not in the sheet.
+   */
+  static readRecords(endpointKey, sheet, requiredSources = []) {
+    if (!sheet || sheet.getLastRow() < 2) {
+      return [];
+    }
+    
+    const schema = ColumnSchema.forEndpoint(endpointKey);
+    const unticked = requiredSources.filter(source => schema.getHeader(source) === null);
+    if (unticked.length > 0) {
+      throw new Error(`The Columns sheet has no ${endpointKey} column for ${unticked.map(source => `"${source}"`).join(', ')}. Tick its Include box again.`);
+    }
+    SheetUpsertWriter.requireColumns(sheet, requiredSources.map(source => schema.getHeader(source)));
+    
+    return readSheetRecords(sheet).map(record => {
+      const mapped = Object.assign({}, record);
+      COLUMN_SCHEMAS[endpointKey].forEach(column => {
+        const header = schema.getHeader(column.source);
+        if (header === null) {
+          delete mapped[column.header];
+        } else {
+          mapped[column.header] = record[header];
+        }
+      });
+      return mapped;
+    });
+  }
+  
+  /**
+   * Every API field path this schema reads
+   */
+  getSourceFields() {
+    const fields = [];
+    this.columns.forEach(column => {
+      column.source.split('+').forEach(path => {
+        if (fields.indexOf(path.trim()) === -1) {
+          fields.push(path.trim());
+        }
+      });
+    });
+    return fields;
+  }
+  
+  mapRow(record) {
+    return this.columns.map(column => ColumnSchema.renderValue(record, column));
+  }
+  
+  /**
+   * Sheet number format by header for currency and date columns
+   */
+  getNumberFormats() {
+    const formats = {};
+    this.columns.forEach(column => {
+      if (column.type === 'currency') {
+        formats[column.header] = DataFormatter.getCurrencyFormat();
+      } else if (column.type === 'date-from-epoch') {
+        formats[column.header] = DataFormatter.DATE_TIME_FORMAT;
+      }
+    });
+    return formats;
+  }
+  
+  /**
+   * Render one column of an API record
+   */
+  static renderValue(record, column) {
+    const fallback = column.default !== undefined ? column.default : '';
+    const parts = column.source.split('+')
+      .map(path => ColumnSchema.getPath(record, path.trim()))
+      .filter(value => value !== undefined && value !== null && value !== '');
+    if (parts.length === 0) {
+      return fallback;
+    }
+    const value = parts.length === 1 ? parts[0] : parts.join(' ');
+    
+    switch (column.type) {
+      case 'number': {
+        const number = Number(value);
+        return isNaN(number) ? value : number;
+      }
+      case 'currency': {
+        const amount = Number(value);
+        return isNaN(amount) ? value : amount;
+      }
+      case 'date-from-epoch':
+        return isNaN(Number(value)) ? value : new Date(Number(value) * 1000);
+      case 'enum': {
+        const values = column.values || {};
+        if (String(value) in values) {
+          return values[String(value)];
+        }
+        return column.default !== undefined ? column.default : value;
+      }
+      default:
+        return DataFormatter.sanitizeString(value);
+    }
+  }
+  
+  /**
+   * Read a dotted field path such as "affiliate.email"
+   */
+  static getPath(record, path) {
+    return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), record);
+  }
+}
+
+/**
+ * Compares the fields the API actually returns with the previous sync and the column schema,
+ * and writes the result to the Schema Report sheet
+ */
+class SchemaDriftMonitor {
+  static get SHEET_NAME() { return 'Schema Report'; }
+  static get SHEET_HEADERS() { return ['Endpoint', 'Field', 'Change', 'Mapped', 'Present In', 'Type', 'Previous Type', 'Checked At']; }
+  static get PROPERTY_PREFIX() { return 'UPPROMOTE_SCHEMA_'; }
+  // In-progress profiles are kept per endpoint, apart from the sync checkpoint
+  static get PROFILE_PROPERTY_PREFIX() { return 'UPPROMOTE_SCHEMA_PROFILE_'; }
+  // Nested objects are profiled this many levels deep (affiliate.email)
+  static get MAX_DEPTH() { return 2; }
+  // Fields profiled per endpoint, so a profile stays under the 9 KB limit of a script property
+  static get MAX_FIELDS() { return 150; }
+  
+  static createProfile() {
+    return { records: 0, fields: {} };
+  }
+  
+  /**
+   * The endpoint's profile saved by an earlier batch of this sync run, or a new one
+   */
+  static loadProfile(endpointKey) {
+    const stored = PropertiesService.getScriptProperties().getProperty(StoreProfiles.getPropertyKey(SchemaDriftMonitor.PROFILE_PROPERTY_PREFIX + endpointKey));
+    return stored ? JSON.parse(stored) : SchemaDriftMonitor.createProfile();
+  }
+  
+  static saveProfile(endpointKey, profile) {
+    PropertiesService.getScriptProperties().setProperty(StoreProfiles.getPropertyKey(SchemaDriftMonitor.PROFILE_PROPERTY_PREFIX + endpointKey), JSON.stringify(profile));
+  }
+  
+  static clearProfile(endpointKey) {
+    PropertiesService.getScriptProperties().deleteProperty(StoreProfiles.getPropertyKey(SchemaDriftMonitor.PROFILE_PROPERTY_PREFIX + endpointKey));
+  }
+  
+  /**
+   * Add a page of records to a profile; fields are stored as path: [records present, types seen]
+   * to keep the saved profile small. Fields beyond MAX_FIELDS are not profiled.
+   */
+  static profileRecords(profile, records) {
+    records.forEach(record => {
+      profile.records++;
+      SchemaDriftMonitor.collectFields(record, '', 1, profile);
+    });
+  }
+  
+  static collectFields(object, prefix, depth, profile) {
+    const fields = profile.fields;
+    Object.keys(object || {}).forEach(key => {
+      const path = prefix + key;
+      const value = object[key];
+      const type = SchemaDriftMonitor.typeOf(value);
+      if (!fields[path] && Object.keys(fields).length >= SchemaDriftMonitor.MAX_FIELDS) {
+        profile.truncated = true;
+        return;
+      }
+      const entry = fields[path] || (fields[path] = [0, '']);
+      entry[0]++;
+      if (type && entry[1].split('|').indexOf(type) === -1) {
+        entry[1] = entry[1] ? `${entry[1]}|${type}` : type;
+      }
+      if (type === 'object' && depth < SchemaDriftMonitor.MAX_DEPTH) {
+        SchemaDriftMonitor.collectFields(value, path + '.', depth + 1, profile);
+      }
+    });
+  }
+  
+  /**
+   * JSON type of a value; null and undefined say nothing about the type
+   */
+  static typeOf(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+  
+  /**
+   * Compare a finished endpoint's profile with the last sync and the mapped fields,
+   * replace the endpoint's rows in the Schema Report sheet and save the new baseline
+   */
+  static report(endpointKey, profile) {
+    if (!profile || profile.records === 0) {
+      return [];
+    }
+    
+    const properties = PropertiesService.getScriptProperties();
+    const propertyKey = StoreProfiles.getPropertyKey(SchemaDriftMonitor.PROPERTY_PREFIX + endpointKey);
+    const stored = properties.getProperty(propertyKey);
+    const baseline = stored ? JSON.parse(stored) : null;
+    const mapped = ColumnSchema.forEndpoint(endpointKey).getSourceFields();
+    const checkedAt = new Date();
+    
+    const paths = Object.keys(profile.fields);
+    mapped.concat(Object.keys(baseline || {})).forEach(path => {
+      if (paths.indexOf(path) === -1) {
+        paths.push(path);
+      }
+    });
+    
+    const rows = paths.map(path => {
+      const entry = profile.fields[path] || [0, ''];
+      const isMapped = mapped.indexOf(path) !== -1;
+      const previousType = baseline && path in baseline ? baseline[path] : '';
+      
+      let change = '';
+      if (entry[0] === 0) {
+        // A field past MAX_FIELDS may have been returned without being profiled
+        change = !profile.truncated && (isMapped || (baseline && path in baseline)) ? 'missing' : '';
+      } else if (baseline && !(path in baseline)) {
+        change = 'new';
+      } else if (previousType && entry[1] && previousType !== entry[1]) {
+        change = 'type changed';
+      }
+      
+      return [
+        endpointKey,
+        path,
+        change,
+        isMapped ? 'Yes' : 'No',
+        Math.round(entry[0] / profile.records * 100) + '%',
+        entry[1],
+        previousType,
+        checkedAt
+      ];
+    });
+    rows.sort((a, b) => (a[2] ? 0 : 1) - (b[2] ? 0 : 1) || (a[1] < b[1] ? -1 : 1));
+    
+    const missingMapped = rows.filter(row => row[3] === 'Yes' && row[2] === 'missing').map(row => row[1]);
+    if (missingMapped.length > 0) {
+      ErrorReporter.logWarning('SchemaDriftMonitor', `${endpointKey}: mapped fields missing from every record: ${missingMapped.join(', ')}`, {
+        endpoint: endpointKey,
+        records: profile.records,
+        fields: missingMapped
+      });
+    }
+    
+    const changes = rows.filter(row => row[2]);
+    if (changes.length > 0) {
+      Logger.log(`Schema drift in ${endpointKey}: ` + changes.map(row => `${row[1]} (${row[2]})`).join(', '));
+    }
+    if (profile.truncated) {
+      ErrorReporter.logWarning('SchemaDriftMonitor', `${endpointKey}: only the first ${SchemaDriftMonitor.MAX_FIELDS} fields were profiled`, { endpoint: endpointKey });
+    }
+    
+    SchemaDriftMonitor.writeRows(endpointKey, rows);
+    
+    const nextBaseline = {};
+    paths.forEach(path => {
+      const entry = profile.fields[path];
+      if (entry && entry[0] > 0) {
+        nextBaseline[path] = entry[1] || (baseline && baseline[path]) || '';
+      }
+    });
+    properties.setProperty(propertyKey, JSON.stringify(nextBaseline));
+    return changes;
+  }
+  
+  /**
+   * Replace one endpoint's rows in the Schema Report sheet, keeping the other endpoints
+   */
+  static writeRows(endpointKey, rows) {
+    const sheet = getOrCreateSheet(getOrCreateSpreadsheet(), SchemaDriftMonitor.SHEET_NAME);
+    const headers = SchemaDriftMonitor.SHEET_HEADERS;
+    const otherRows = readSheetRecords(sheet)
+      .filter(record => record.Endpoint !== endpointKey)
+      .map(record => headers.map(header => record[header] !== undefined ? record[header] : ''));
+    writeDataToSheet(sheet, headers, otherRows.concat(rows));
+  }
+  
+  static clearBaselines() {
+    const properties = PropertiesService.getScriptProperties();
+    Object.keys(CONFIG.ENDPOINTS).forEach(endpointKey => {
+      properties.deleteProperty(StoreProfiles.getPropertyKey(SchemaDriftMonitor.PROPERTY_PREFIX + endpointKey));
+    });
+  }
+}
+
+/**
+ * Payouts derived from the Referrals sheet: paid commissions grouped by affiliate and payout period
+ * (UpPromote has no payments endpoint; a referral's status becomes "paid" once its commission is paid out)
+ */
+class PayoutReport {
+  static get SHEET_NAME() { return 'Payouts'; }
+  static get HEADERS() {
+    return [
+      'Period', 'Affiliate ID', 'Affiliate Email', 'Affiliate Name', 'Paid Referrals',
+      'Commission', 'Commission Adjustment', 'Total Payout', 'Total Payout (Reporting)', 'Referral IDs'
+    ];
+  }
+  static get PAID_STATUS() { return 'paid'; }
+  // Referrals sheet fields the report can't be built without (see ColumnSchema.readRecords)
+  static get REFERRAL_SOURCES() { return ['status', 'created_at', 'affiliate_id', 'commission']; }
+  
+  static getNumberFormats() {
+    const currency = DataFormatter.getCurrencyFormat();
+    return {
+      'Commission': currency,
+      'Commission Adjustment': currency,
+      'Total Payout': currency,
+      'Total Payout (Reporting)': DataFormatter.getCurrencyFormat(CONFIG.REPORTING_CURRENCY)
+    };
+  }
+  
+  /**
+   * Build payout rows from Referrals sheet records, newest period first
+   */
+  static buildRows(referralRecords) {
+    const groups = {};
+    
+    referralRecords.forEach(record => {
+      if (String(record.Status).trim().toLowerCase() !== PayoutReport.PAID_STATUS) return;
+      if (record[SheetUpsertWriter.SYNC_STATUS_HEADER] === 'removed') return;
+      
+      const period = PayoutReport.getPeriod(record['Created At']);
+      const key = `${period}|${record['Affiliate ID']}`;
+      const group = groups[key] || (groups[key] = {
+        period: period,
+        affiliateId: record['Affiliate ID'],
+        email: record['Affiliate Email'] || '',
+        name: record['Affiliate Name'] || '',
+        commission: 0,
+        adjustment: 0,
+        reporting: 0,
+        reportingComplete: true,
+        referralIds: []
+      });
+      
+      group.commission += DataFormatter.parseAmount(record.Commission);
+      group.adjustment += DataFormatter.parseAmount(record['Commission Adjustment']);
+      group.reporting += PayoutReport.getReportingAmount(record, ['Commission (Reporting)', 'Commission Adjustment (Reporting)'], group);
+      group.referralIds.push(record.ID);
+    });
+    
+    return Object.keys(groups)
+      .map(key => groups[key])
+      .sort((a, b) => (a.period === b.period ? Number(a.affiliateId) - Number(b.affiliateId) : (a.period < b.period ? 1 : -1)))
+      .map(group => [
+        group.period,
+        group.affiliateId,
+        group.email,
+        group.name,
+        group.referralIds.length,
+        PayoutReport.round(group.commission),
+        PayoutReport.round(group.adjustment),
+        PayoutReport.round(group.commission + group.adjustment),
+        group.reportingComplete ? PayoutReport.round(group.reporting) : '',
+        group.referralIds.join(', ')
+      ]);
+  }
+  
+  /**
+   * Referral IDs cells of the rows as rich text, each ID linking to its row in the Referrals sheet
+   */
+  static buildReferralLinks(rows, referralRecords, referralsSheet) {
+    const rowNumbers = {};
+    referralRecords.forEach(record => {
+      rowNumbers[String(record.ID)] = record.rowNumber;
+    });
+    const idsColumn = PayoutReport.HEADERS.indexOf('Referral IDs');
+    const sheetLink = `#gid=${referralsSheet.getSheetId()}&range=`;
+    
+    return rows.map(row => {
+      const text = String(row[idsColumn]);
+      const builder = SpreadsheetApp.newRichTextValue().setText(text);
+      let start = 0;
+      text.split(', ').forEach(id => {
+        const rowNumber = rowNumbers[id];
+        if (rowNumber) {
+          builder.setLinkUrl(start, start + id.length, `${sheetLink}${rowNumber}:${rowNumber}`);
+        }
+        start += id.length + 2;
+      });
+      return [builder.build()];
+    });
+  }
+  
+  /**
+   * Sum of a record's reporting-currency columns (see ExchangeRates); a blank value means no rate was
+   * in effect, which clears group.reportingComplete so the total is left blank instead of understated
+   */
+  static getReportingAmount(record, headers, group) {
+    return headers.reduce((total, header) => {
+      if (record[header] === undefined || record[header] === '') {
+        group.reportingComplete = false;
+        return total;
+      }
+      return total + DataFormatter.parseAmount(record[header]);
+    }, 0);
+  }
+  
+  /**
+   * Payout period label (CONFIG.PAYOUT_PERIOD) for a referral's created date
+   */
+  static getPeriod(createdAt) {
+    const date = DataFormatter.parseDate(createdAt);
+    if (!date) {
+      return 'Unknown';
+    }
+    const format = CONFIG.PAYOUT_PERIOD === 'week' ? "YYYY-'W'ww" : 'yyyy-MM';
+    return Utilities.formatDate(date, DataFormatter.getTimeZone(), format);
+  }
+  
+  static round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+}
+
+/**
+ * Per-affiliate KPIs from the Referrals sheet joined to the Affiliates sheet on Affiliate ID,
+ * filtered by period and program and ranked by total sales
+ */
+class AffiliatePerformanceReport {
+  static get SHEET_NAME() { return 'Affiliate Performance'; }
+  static get PERIODS() { return ['All time', 'This month', 'Last 30 days', 'Last 90 days', 'Year to date']; }
+  static get HEADERS() {
+    return [
+      'Rank', 'Affiliate ID', 'Affiliate Email', 'Affiliate Name', 'Program ID', 'Orders', 'Total Sales',
+      'Commission Earned', 'Total Sales (Reporting)', 'Commission Earned (Reporting)', 'Refunds', 'Refund Rate',
+      'Average Order Value', 'First Referral', 'Last Referral'
+    ];
+  }
+  // Referral statuses whose commission counts as earned
+  static get EARNED_STATUSES() { return ['approved', 'paid']; }
+  static get REFERRAL_SOURCES() { return ['status', 'created_at', 'affiliate_id', 'total_sales', 'commission']; }
+  
+  static getNumberFormats() {
+    const currency = DataFormatter.getCurrencyFormat();
+    return {
+      'Total Sales': currency,
+      'Commission Earned': currency,
+      'Total Sales (Reporting)': DataFormatter.getCurrencyFormat(CONFIG.REPORTING_CURRENCY),
+      'Commission Earned (Reporting)': DataFormatter.getCurrencyFormat(CONFIG.REPORTING_CURRENCY),
+      'Refund Rate': DataFormatter.PERCENT_FORMAT,
+      'Average Order Value': currency,
+      'First Referral': DataFormatter.DATE_FORMAT,
+      'Last Referral': DataFormatter.DATE_FORMAT
+    };
+  }
+  
+  /**
+   * Start of a reporting period, or null for all time
+   */
+  static getPeriodStart(period, now) {
+    switch (period) {
+      case 'This month':
+        return new Date(now.getFullYear(), now.getMonth(), 1);
+      case 'Last 30 days':
+        return new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+      case 'Last 90 days':
+        return new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
+      case 'Year to date':
+        return new Date(now.getFullYear(), 0, 1);
+      default:
+        return null;
+    }
+  }
+  
+  /**
+   * Build ranked rows; filters are { period, programId } and a blank programId means every program
+   */
+  static buildRows(referralRecords, affiliateRecords, filters, now = new Date()) {
+    const periodStart = AffiliatePerformanceReport.getPeriodStart(filters.period, now);
+    const programId = String(filters.programId === undefined ? '' : filters.programId).trim();
+    
+    const affiliates = {};
+    affiliateRecords.forEach(affiliate => {
+      affiliates[String(affiliate.ID)] = affiliate;
+    });
+    
+    const stats = {};
+    referralRecords.forEach(record => {
+      if (record[SheetUpsertWriter.SYNC_STATUS_HEADER] === 'removed') return;
+      
+      const createdAt = DataFormatter.parseDate(record['Created At']);
+      if (periodStart && (!createdAt || createdAt < periodStart)) return;
+      
+      const affiliateId = String(record['Affiliate ID']);
+      const affiliate = affiliates[affiliateId] || {};
+      if (programId && String(affiliate['Program ID']) !== programId) return;
+      
+      const entry = stats[affiliateId] || (stats[affiliateId] = {
+        affiliateId: record['Affiliate ID'],
+        email: affiliate.Email || record['Affiliate Email'] || '',
+        name: [affiliate['First Name'], affiliate['Last Name']].filter(part => part).join(' ') || record['Affiliate Name'] || '',
+        programId: affiliate['Program ID'] !== undefined ? affiliate['Program ID'] : '',
+        orders: 0,
+        sales: 0,
+        commission: 0,
+        reportingSales: 0,
+        reportingCommission: 0,
+        reportingComplete: true,
+        refunds: 0,
+        first: null,
+        last: null
+      });
+      
+      const status = String(record.Status).trim().toLowerCase();
+      const hasRefundId = record['Refund ID'] !== undefined && record['Refund ID'] !== '';
+      const refunded = hasRefundId || status.indexOf('refund') !== -1;
+      entry.orders++;
+      if (refunded) {
+        entry.refunds++;
+      } else {
+        entry.sales += DataFormatter.parseAmount(record['Total Sales']);
+        entry.reportingSales += PayoutReport.getReportingAmount(record, ['Total Sales (Reporting)'], entry);
+      }
+      if (AffiliatePerformanceReport.EARNED_STATUSES.indexOf(status) !== -1) {
+        entry.commission += DataFormatter.parseAmount(record.Commission) + DataFormatter.parseAmount(record['Commission Adjustment']);
+        entry.reportingCommission += PayoutReport.getReportingAmount(record, ['Commission (Reporting)', 'Commission Adjustment (Reporting)'], entry);
+      }
+      if (createdAt) {
+        entry.first = !entry.first || createdAt < entry.first ? createdAt : entry.first;
+        entry.last = !entry.last || createdAt > entry.last ? createdAt : entry.last;
+      }
+    });
+    
+    return Object.keys(stats)
+      .map(key => stats[key])
+      // Reporting-currency sales make affiliates from stores in different currencies comparable
+      .sort((a, b) => b.reportingSales - a.reportingSales || b.sales - a.sales || b.commission - a.commission)
+      .map((entry, index) => {
+        const paidOrders = entry.orders - entry.refunds;
+        return [
+          index + 1,
+          entry.affiliateId,
+          entry.email,
+          entry.name,
+          entry.programId,
+          entry.orders,
+          PayoutReport.round(entry.sales),
+          PayoutReport.round(entry.commission),
+          entry.reportingComplete ? PayoutReport.round(entry.reportingSales) : '',
+          entry.reportingComplete ? PayoutReport.round(entry.reportingCommission) : '',
+          entry.refunds,
+          Math.round(entry.refunds / entry.orders * 1000) / 1000,
+          paidOrders > 0 ? PayoutReport.round(entry.sales / paidOrders) : '',
+          entry.first || '',
+          entry.last || ''
+        ];
+      });
+  }
+}
+
+/**
+ * Business anomaly rules evaluated against the Referrals and Affiliates sheets after a sync
+ */
+class AnomalyMonitor {
+  static get SHEET_NAME() { return 'Alerts'; }
+  static get HEADERS() {
+    return ['Detected At', 'Rule', 'Day', 'Subject', 'Value', 'Expected', 'Threshold', 'Message', 'Alert Key'];
+  }
+  static get REFERRAL_SOURCES() { return ['status', 'created_at', 'affiliate_id', 'commission']; }
+  static get AFFILIATE_SOURCES() { return ['created_at_timestamp']; }
+  
+  /**
+   * Evaluators by rule name; each returns a list of { day, subject, value, expected, message }
+   * Daily rules look at the last complete day, compared with the rule.days days before it
+   */
+  static get RULES() {
+    return {
+      referral_volume: (rule, data) => AnomalyMonitor.compareWithTrailingAverage(rule, data, data.referrals, () => 1, 'Referrals', false),
+      commission_total: (rule, data) => AnomalyMonitor.compareWithTrailingAverage(rule, data, data.referrals, referral => referral.commission, 'Commission', false),
+      affiliate_signups: (rule, data) => AnomalyMonitor.compareWithTrailingAverage(rule, data, data.affiliates, () => 1, 'New affiliates', true),
+      affiliate_daily_orders: (rule, data) => {
+        // Today is included because a partial day can only undercount
+        const counts = {};
+        data.referrals.forEach(referral => {
+          if (referral.day !== data.day && referral.day !== data.today) return;
+          const key = referral.day + '|' + referral.affiliateId;
+          counts[key] = (counts[key] || 0) + 1;
+        });
+        return Object.keys(counts)
+          .filter(key => counts[key] > rule.threshold)
+          .map(key => {
+            const parts = key.split('|');
+            return {
+              day: parts[0],
+              subject: 'Affiliate ' + parts[1],
+              value: counts[key],
+              expected: `at most ${rule.threshold}`,
+              message: `Affiliate ${parts[1]} has ${counts[key]} orders on ${parts[0]} (limit ${rule.threshold})`
+            };
+          });
+      },
+      refund_rate: (rule, data) => {
+        const days = AnomalyMonitor.getDays(data.now, 0, rule.days || 30);
+        const recent = data.referrals.filter(referral => days.indexOf(referral.day) !== -1);
+        const refunds = recent.filter(referral => referral.refunded).length;
+        if (recent.length === 0 || recent.length < (rule.minOrders || 0)) return [];
+        
+        const rate = PayoutReport.round(refunds / recent.length * 100);
+        if (rate <= rule.threshold) return [];
+        return [{
+          day: data.day,
+          subject: 'All affiliates',
+          value: rate + '%',
+          expected: `at most ${rule.threshold}%`,
+          message: `Refund rate is ${rate}% (${refunds} of ${recent.length} referrals) over the last ${days.length} days`
+        }];
+      }
+    };
+  }
+  
+  /**
+   * Alerts for the given rules ({ rule, threshold, days, minOrders }) against sheet records
+   */
+  static evaluate(referralRecords, affiliateRecords, rules, now = new Date()) {
+    const data = {
+      now: now,
+      day: AnomalyMonitor.getDays(now, 1, 1)[0],
+      today: AnomalyMonitor.getDays(now, 0, 1)[0],
+      referrals: referralRecords
+        .filter(record => record[SheetUpsertWriter.SYNC_STATUS_HEADER] !== 'removed')
+        .map(record => {
+          const status = String(record.Status).trim().toLowerCase();
+          return {
+            day: AnomalyMonitor.getDay(record['Created At']),
+            affiliateId: String(record['Affiliate ID']),
+            commission: DataFormatter.parseAmount(record.Commission) + DataFormatter.parseAmount(record['Commission Adjustment']),
+            refunded: (record['Refund ID'] !== undefined && record['Refund ID'] !== '') || status.indexOf('refund') !== -1
+          };
+        }),
+      affiliates: affiliateRecords.map(record => ({ day: AnomalyMonitor.getDay(record['Created At']) }))
+    };
+    
+    const evaluators = AnomalyMonitor.RULES;
+    const alerts = [];
+    rules.forEach(rule => {
+      const evaluator = evaluators[rule.rule];
+      if (!evaluator) {
+        ErrorReporter.logWarning('AnomalyMonitor', `Unknown alert rule "${rule.rule}"`);
+        return;
+      }
+      evaluator(rule, data).forEach(alert => {
+        alert.rule = rule.rule;
+        alert.threshold = rule.threshold;
+        alert.key = [rule.rule, alert.day, alert.subject].join('|');
+        alerts.push(alert);
+      });
+    });
+    return alerts;
+  }
+  
+  /**
+   * Total of value(record) on the last complete day against its average over the rule.days days before.
+   * Alerts when the difference exceeds rule.threshold percent; upOnly ignores drops.
+   */
+  static compareWithTrailingAverage(rule, data, records, value, label, upOnly) {
+    const trailingDays = AnomalyMonitor.getDays(data.now, 2, rule.days || 28);
+    const totals = {};
+    records.forEach(record => {
+      totals[record.day] = (totals[record.day] || 0) + value(record);
+    });
+    
+    const current = PayoutReport.round(totals[data.day] || 0);
+    const average = PayoutReport.round(trailingDays.reduce((sum, day) => sum + (totals[day] || 0), 0) / trailingDays.length);
+    // Without a baseline there is nothing to compare against
+    if (average === 0) return [];
+    
+    const change = PayoutReport.round((current - average) / average * 100);
+    if (Math.abs(change) <= rule.threshold || (upOnly && change < 0)) return [];
+    return [{
+      day: data.day,
+      subject: label,
+      value: current,
+      expected: average,
+      message: `${label} on ${data.day}: ${current}, ${change > 0 ? '+' : ''}${change}% against the ${trailingDays.length}-day average of ${average}`
+    }];
+  }
+  
+  /**
+   * yyyy-MM-dd keys for count days, starting offset days before now
+   */
+  static getDays(now, offset, count) {
+    const timeZone = DataFormatter.getTimeZone();
+    const days = [];
+    for (let i = offset; i < offset + count; i++) {
+      days.push(Utilities.formatDate(new Date(now.getTime() - i * 24 * 60 * 60 * 1000), timeZone, 'yyyy-MM-dd'));
+    }
+    return days;
+  }
+  
+  static getDay(value) {
+    const date = DataFormatter.parseDate(value);
+    return date ? Utilities.formatDate(date, DataFormatter.getTimeZone(), 'yyyy-MM-dd') : '';
+  }
+}
+
+/**
+ * Fraud heuristics for referrals: each check adds points and a reason, capped at 100
+ */
+class ReferralRiskScorer {
+  static get SCORE_HEADER() { return 'Risk Score'; }
+  static get REASONS_HEADER() { return 'Risk Reasons'; }
+  static get REVIEW_SHEET_NAME() { return 'Review Queue'; }
+  static get REVIEW_HEADERS() {
+    return [
+      'Risk Score', 'Risk Reasons', 'Referral ID', 'Order Number', 'Affiliate ID', 'Affiliate Email',
+      'Customer ID', 'Customer Email', 'Quantity', 'Total Sales', 'Commission', 'Status', 'Created At'
+    ];
+  }
+  // Only referrals still waiting for approval go to the Review Queue
+  static get REVIEW_STATUS() { return 'pending'; }
+  static get REFERRAL_SOURCES() { return ['status', 'created_at', 'affiliate_id', 'total_sales']; }
+  
+  static getReviewNumberFormats() {
+    const currency = DataFormatter.getCurrencyFormat();
+    return { 'Total Sales': currency, 'Commission': currency, 'Created At': DataFormatter.DATE_TIME_FORMAT };
+  }
+  
+  /**
+   * { score, reasons } for each Referrals sheet record, in the same order
+   * Rows flagged removed get a score of null and are left out of the statistics
+   */
+  static score(referralRecords, affiliateRecords, settings = CONFIG.RISK_SCORING) {
+    const affiliates = {};
+    affiliateRecords.forEach(affiliate => {
+      affiliates[String(affiliate.ID)] = affiliate;
+    });
+    
+    const referrals = referralRecords
+      .map((record, index) => ({
+        index: index,
+        record: record,
+        affiliateId: String(record['Affiliate ID']),
+        customerId: String(record['Customer ID'] === undefined ? '' : record['Customer ID']).trim(),
+        quantity: DataFormatter.parseAmount(record.Quantity),
+        sales: DataFormatter.parseAmount(record['Total Sales']),
+        createdAt: DataFormatter.parseDate(record['Created At']),
+        refunded: (record['Refund ID'] !== undefined && record['Refund ID'] !== '') ||
+          String(record.Status).toLowerCase().indexOf('refund') !== -1,
+        points: 0,
+        reasons: []
+      }))
+      .filter(referral => referral.record[SheetUpsertWriter.SYNC_STATUS_HEADER] !== 'removed');
+    const flag = (referral, points, reason) => {
+      referral.points += points;
+      referral.reasons.push(reason);
+    };
+    
+    // The customer is the affiliate: affiliates carry no customer ID, so only the email is compared
+    referrals.forEach(referral => {
+      const affiliate = affiliates[referral.affiliateId];
+      if (!affiliate) return;
+      const customerEmail = String(referral.record['Customer Email'] || '').trim().toLowerCase();
+      if (customerEmail && customerEmail === String(affiliate.Email || '').trim().toLowerCase()) {
+        flag(referral, settings.SELF_REFERRAL.points, 'Customer email matches the affiliate');
+      }
+    });
+    
+    // Many orders from one customer through one affiliate
+    const byCustomer = ReferralRiskScorer.groupBy(referrals.filter(referral => referral.customerId), referral => referral.affiliateId + '|' + referral.customerId);
+    Object.keys(byCustomer).forEach(key => {
+      const group = byCustomer[key];
+      if (group.length < settings.REPEAT_CUSTOMER.orders) return;
+      group.forEach(referral => flag(referral, settings.REPEAT_CUSTOMER.points, `${group.length} orders from customer ${referral.customerId} through this affiliate`));
+    });
+    
+    // Quantity and total sales far above the median referral
+    if (referrals.length >= settings.OUTLIER.minReferrals) {
+      [['quantity', 'Quantity'], ['sales', 'Total sales']].forEach(field => {
+        const median = ReferralRiskScorer.median(referrals.map(referral => referral[field[0]]).filter(value => value > 0));
+        if (!median) return;
+        referrals.forEach(referral => {
+          if (referral[field[0]] > median * settings.OUTLIER.multiple) {
+            flag(referral, settings.OUTLIER.points, `${field[1]} ${referral[field[0]]} is ${PayoutReport.round(referral[field[0]] / median)}x the median of ${median}`);
+          }
+        });
+      });
+    }
+    
+    // Affiliates with a high share of refunded referrals
+    const byAffiliate = ReferralRiskScorer.groupBy(referrals, referral => referral.affiliateId);
+    Object.keys(byAffiliate).forEach(affiliateId => {
+      const group = byAffiliate[affiliateId];
+      const refunds = group.filter(referral => referral.refunded).length;
+      if (group.length < settings.REFUND_RATIO.minOrders || refunds / group.length < settings.REFUND_RATIO.ratio) return;
+      const reason = `Affiliate refund ratio ${Math.round(refunds / group.length * 100)}% (${refunds} of ${group.length})`;
+      group.forEach(referral => flag(referral, settings.REFUND_RATIO.points, reason));
+    });
+    
+    // A cluster of referrals right after the affiliate signed up
+    const clusterMs = settings.NEW_AFFILIATE_CLUSTER.hours * 60 * 60 * 1000;
+    Object.keys(byAffiliate).forEach(affiliateId => {
+      const affiliateCreatedAt = affiliates[affiliateId] ? DataFormatter.parseDate(affiliates[affiliateId]['Created At']) : null;
+      if (!affiliateCreatedAt) return;
+      const early = byAffiliate[affiliateId].filter(referral => referral.createdAt &&
+        referral.createdAt - affiliateCreatedAt >= 0 && referral.createdAt - affiliateCreatedAt <= clusterMs);
+      if (early.length < settings.NEW_AFFILIATE_CLUSTER.orders) return;
+      const reason = `${early.length} referrals within ${settings.NEW_AFFILIATE_CLUSTER.hours}h of the affiliate signing up`;
+      early.forEach(referral => flag(referral, settings.NEW_AFFILIATE_CLUSTER.points, reason));
+    });
+    
+    const results = referralRecords.map(() => ({ score: null, reasons: [] }));
+    referrals.forEach(referral => {
+      results[referral.index] = { score: Math.min(100, referral.points), reasons: referral.reasons };
+    });
+    return results;
+  }
+  
+  /**
+   * Review Queue rows: pending referrals at or above the review threshold, riskiest first
+   */
+  static buildReviewRows(referralRecords, scores, threshold = CONFIG.RISK_SCORING.REVIEW_THRESHOLD) {
+    return referralRecords
+      .map((record, index) => ({ record: record, result: scores[index] }))
+      .filter(entry => entry.result.score !== null && entry.result.score >= threshold &&
+        String(entry.record.Status).trim().toLowerCase() === ReferralRiskScorer.REVIEW_STATUS)
+      .sort((a, b) => b.result.score - a.result.score)
+      .map(entry => [
+        entry.result.score,
+        entry.result.reasons.join('; '),
+        entry.record.ID,
+        entry.record['Order Number'],
+        entry.record['Affiliate ID'],
+        entry.record['Affiliate Email'],
+        entry.record['Customer ID'],
+        entry.record['Customer Email'],
+        entry.record.Quantity,
+        entry.record['Total Sales'],
+        entry.record.Commission,
+        entry.record.Status,
+        entry.record['Created At']
+      ]);
+  }
+  
+  static groupBy(items, keyOf) {
+    const groups = {};
+    items.forEach(item => {
+      const key = keyOf(item);
+      (groups[key] = groups[key] || []).push(item);
+    });
+    return groups;
+  }
+  
+  static median(values) {
+    if (values.length === 0) return 0;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+}
+
+/**
+ * Commission reconciliation: expected commission from the type and rate against the recorded commission
+ */
+class CommissionReconciliation {
+  static get SHEET_NAME() { return 'Commission Reconciliation'; }
+  static get TOTALS_HEADERS() {
+    return [
+      'Month', 'Affiliate ID', 'Affiliate Email', 'Referrals', 'Total Sales', 'Expected Commission', 'Recorded Commission',
+      'Difference', 'Adjustments', 'Net Commission', 'Mismatches', 'Adjusted', 'Refunded With Commission'
+    ];
+  }
+  static get EXCEPTION_HEADERS() {
+    return [
+      'Issue', 'Referral ID', 'Month', 'Affiliate ID', 'Affiliate Email', 'Status', 'Commission Type', 'Commission Amount',
+      'Total Sales', 'Expected Commission', 'Recorded Commission', 'Difference', 'Commission Adjustment', 'Refund ID'
+    ];
+  }
+  static get REFERRAL_SOURCES() {
+    return ['status', 'created_at', 'affiliate_id', 'total_sales', 'commission', 'commission_type', 'commission_amount'];
+  }
+  
+  static getNumberFormats() {
+    const currency = DataFormatter.getCurrencyFormat();
+    const formats = {};
+    ['Total Sales', 'Expected Commission', 'Recorded Commission', 'Difference', 'Adjustments', 'Net Commission', 'Commission Adjustment'].forEach(header => {
+      formats[header] = currency;
+    });
+    return formats;
+  }
+  
+  static get ISSUES() {
+    return {
+      MISMATCH: 'Commission mismatch',
+      UNKNOWN_TYPE: 'Unknown commission type',
+      ADJUSTED: 'Adjusted',
+      REFUNDED: 'Refunded with commission'
+    };
+  }
+  
+  /**
+   * Commission expected from the type and Commission Amount: a percentage of total sales or a fixed
+   * amount per order. Returns null for a type that is neither.
+   */
+  static getExpectedCommission(commissionType, commissionAmount, totalSales) {
+    const type = String(commissionType || '').trim().toLowerCase();
+    if (type.indexOf('percent') !== -1) {
+      return PayoutReport.round(totalSales * commissionAmount / 100);
+    }
+    if (type.indexOf('fixed') !== -1 || type.indexOf('flat') !== -1) {
+      return PayoutReport.round(commissionAmount);
+    }
+    return null;
+  }
+  
+  /**
+   * { totals, exceptions } rows from Referrals sheet records
+   * Totals have one row per month and affiliate, followed by an "All affiliates" row for the month
+   */
+  static buildRows(referralRecords, tolerance = CONFIG.RECONCILIATION_TOLERANCE) {
+    const issues = CommissionReconciliation.ISSUES;
+    const timeZone = DataFormatter.getTimeZone();
+    const groups = {};
+    const exceptions = [];
+    
+    referralRecords.forEach(record => {
+      if (record[SheetUpsertWriter.SYNC_STATUS_HEADER] === 'removed') return;
+      
+      const createdAt = DataFormatter.parseDate(record['Created At']);
+      const month = createdAt ? Utilities.formatDate(createdAt, timeZone, 'yyyy-MM') : '';
+      const sales = DataFormatter.parseAmount(record['Total Sales']);
+      const recorded = DataFormatter.parseAmount(record.Commission);
+      const adjustment = DataFormatter.parseAmount(record['Commission Adjustment']);
+      const expected = CommissionReconciliation.getExpectedCommission(record['Commission Type'], DataFormatter.parseAmount(record['Commission Amount']), sales);
+      const difference = expected === null ? 0 : PayoutReport.round(recorded - expected);
+      const refunded = (record['Refund ID'] !== undefined && record['Refund ID'] !== '') ||
+        String(record.Status).toLowerCase().indexOf('refund') !== -1;
+      
+      const recordIssues = [];
+      if (expected === null) {
+        recordIssues.push(issues.UNKNOWN_TYPE);
+      } else if (Math.abs(difference) > tolerance) {
+        recordIssues.push(issues.MISMATCH);
+      }
+      if (adjustment !== 0) {
+        recordIssues.push(issues.ADJUSTED);
+      }
+      if (refunded && recorded + adjustment > 0) {
+        recordIssues.push(issues.REFUNDED);
+      }
+      
+      const key = month + '|' + record['Affiliate ID'];
+      const group = groups[key] || (groups[key] = {
+        month: month,
+        affiliateId: record['Affiliate ID'],
+        email: record['Affiliate Email'] || '',
+        referrals: 0,
+        sales: 0,
+        expected: 0,
+        recorded: 0,
+        difference: 0,
+        adjustments: 0,
+        mismatches: 0,
+        adjusted: 0,
+        refunded: 0
+      });
+      group.referrals++;
+      group.sales += sales;
+      group.expected += expected === null ? recorded : expected;
+      group.recorded += recorded;
+      group.difference += difference;
+      group.adjustments += adjustment;
+      group.mismatches += recordIssues.indexOf(issues.MISMATCH) !== -1 ? 1 : 0;
+      group.adjusted += recordIssues.indexOf(issues.ADJUSTED) !== -1 ? 1 : 0;
+      group.refunded += recordIssues.indexOf(issues.REFUNDED) !== -1 ? 1 : 0;
+      
+      recordIssues.forEach(issue => exceptions.push([
+        issue,
+        record.ID,
+        month,
+        record['Affiliate ID'],
+        record['Affiliate Email'] || '',
+        record.Status,
+        record['Commission Type'],
+        record['Commission Amount'],
+        sales,
+        expected === null ? '' : expected,
+        recorded,
+        expected === null ? '' : difference,
+        adjustment,
+        record['Refund ID'] || ''
+      ]));
+    });
+    
+    const totals = [];
+    let monthTotal = null;
+    const flushMonth = () => {
+      if (monthTotal) totals.push(CommissionReconciliation.toTotalsRow(monthTotal));
+    };
+    Object.keys(groups)
+      .map(key => groups[key])
+      .sort((a, b) => a.month.localeCompare(b.month) || String(a.affiliateId).localeCompare(String(b.affiliateId), undefined, { numeric: true }))
+      .forEach(group => {
+        if (!monthTotal || monthTotal.month !== group.month) {
+          flushMonth();
+          monthTotal = { month: group.month, affiliateId: 'All affiliates', email: '', referrals: 0, sales: 0, expected: 0, recorded: 0, difference: 0, adjustments: 0, mismatches: 0, adjusted: 0, refunded: 0 };
+        }
+        ['referrals', 'sales', 'expected', 'recorded', 'difference', 'adjustments', 'mismatches', 'adjusted', 'refunded'].forEach(field => {
+          monthTotal[field] += group[field];
+        });
+        totals.push(CommissionReconciliation.toTotalsRow(group));
+      });
+    flushMonth();
+    
+    return { totals: totals, exceptions: exceptions };
+  }
+  
+  static toTotalsRow(group) {
+    return [
+      group.month,
+      group.affiliateId,
+      group.email,
+      group.referrals,
+      PayoutReport.round(group.sales),
+      PayoutReport.round(group.expected),
+      PayoutReport.round(group.recorded),
+      PayoutReport.round(group.difference),
+      PayoutReport.round(group.adjustments),
+      PayoutReport.round(group.recorded + group.adjustments),
+      group.mismatches,
+      group.adjusted,
+      group.refunded
+    ];
+  }
+}
+
+/**
+ * Dated exchange rates from the Rates sheet: each row says 1 From = Rate To from Date onwards
+ */
+class ExchangeRates {
+  static get SHEET_NAME() { return 'Rates'; }
+  static get HEADERS() { return ['Date', 'From', 'To', 'Rate']; }
+  // Columns written on the Referrals sheet by the reporting currency pass
+  static get REFERRAL_HEADERS() {
+    return ['Currency', 'Exchange Rate', 'Total Sales (Reporting)', 'Commission (Reporting)', 'Commission Adjustment (Reporting)'];
+  }
+  // Column the pass adds but never writes, for a currency typed in by hand
+  static get OVERRIDE_HEADER() { return 'Currency Override'; }
+  static get REFERRAL_SOURCES() { return ['created_at', 'total_sales', 'commission']; }
+  
+  constructor(rateRecords) {
+    this.rates = {};
+    rateRecords.forEach(record => {
+      const date = DataFormatter.parseDate(record.Date);
+      const rate = Number(record.Rate);
+      const from = String(record.From || '').trim().toUpperCase();
+      const to = String(record.To || '').trim().toUpperCase();
+      if (!date || !from || !to || !(rate > 0)) return;
+      
+      const key = from + '|' + to;
+      (this.rates[key] = this.rates[key] || []).push({ time: date.getTime(), rate: rate });
+    });
+    Object.keys(this.rates).forEach(key => {
+      this.rates[key].sort((a, b) => a.time - b.time);
+    });
+  }
+  
+  /**
+   * Rates from the Rates sheet in the main spreadsheet, created with its header row if it does not exist yet
+   */
+  static fromSheet() {
+    return new ExchangeRates(readSheetRecords(ExchangeRates.getSheet()));
+  }
+  
+  /**
+   * The Rates sheet every store shares (see StoreProfiles.getMainSpreadsheet)
+   */
+  static getSheet() {
+    const spreadsheet = StoreProfiles.getMainSpreadsheet();
+    let sheet = spreadsheet.getSheetByName(ExchangeRates.SHEET_NAME);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(ExchangeRates.SHEET_NAME);
+      sheet.getRange(1, 1, 1, ExchangeRates.HEADERS.length).setValues([ExchangeRates.HEADERS]).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+    }
+    return sheet;
+  }
+  
+  /**
+   * Rate in effect on the date for converting from one currency to another, or null if there is none
+   * A missing pair falls back to the inverse of the opposite pair
+   */
+  getRate(from, to, date) {
+    const source = String(from || '').trim().toUpperCase();
+    const target = String(to || '').trim().toUpperCase();
+    if (source === target) return 1;
+    
+    const time = date ? date.getTime() : Date.now();
+    const direct = ExchangeRates.findInEffect(this.rates[source + '|' + target], time);
+    if (direct !== null) return direct;
+    const inverse = ExchangeRates.findInEffect(this.rates[target + '|' + source], time);
+    return inverse !== null ? 1 / inverse : null;
+  }
+  
+  static findInEffect(entries, time) {
+    let rate = null;
+    (entries || []).forEach(entry => {
+      if (entry.time <= time) rate = entry.rate;
+    });
+    return rate;
+  }
+  
+  /**
+   * Rows for the Rates sheet from CSV text with Date, From, To and Rate columns (a header row is optional)
+   * Existing rows with the same date and pair are replaced; the result is sorted by date
+   */
+  static mergeCsv(existingRecords, csvText) {
+    const rows = {};
+    const add = (date, from, to, rate) => {
+      const parsedDate = DataFormatter.parseDate(date);
+      const parsedRate = DataFormatter.parseAmount(rate);
+      if (!parsedDate || !from || !to || !(parsedRate > 0)) return false;
+      const row = [parsedDate, String(from).trim().toUpperCase(), String(to).trim().toUpperCase(), parsedRate];
+      rows[[Utilities.formatDate(parsedDate, DataFormatter.getTimeZone(), 'yyyy-MM-dd'), row[1], row[2]].join('|')] = row;
+      return true;
+    };
+    
+    existingRecords.forEach(record => add(record.Date, record.From, record.To, record.Rate));
+    let imported = 0;
+    let skipped = 0;
+    Utilities.parseCsv(csvText).forEach((values, index) => {
+      if (index === 0 && String(values[0]).trim().toLowerCase() === 'date') return;
+      if (add(values[0], values[1], values[2], values[3])) {
+        imported++;
+      } else {
+        skipped++;
+      }
+    });
+    
+    return {
+      rows: Object.keys(rows).map(key => rows[key]).sort((a, b) => a[0] - b[0]),
+      imported: imported,
+      skipped: skipped
+    };
+  }
+  
+  /**
+   * Reporting-currency values for a Referrals sheet record, in REFERRAL_HEADERS order
+   * A code in the Currency Override column wins over the store currency; amounts are blank when no rate is in effect
+   */
+  referralValues(record, storeCurrency = StoreProfiles.getStoreCurrency(), reportingCurrency = CONFIG.REPORTING_CURRENCY) {
+    const currency = String(record[ExchangeRates.OVERRIDE_HEADER] || '').trim().toUpperCase() || storeCurrency;
+    const rate = this.getRate(currency, reportingCurrency, DataFormatter.parseDate(record['Created At']));
+    const convert = value => (rate === null ? '' : PayoutReport.round(DataFormatter.parseAmount(value) * rate));
+    return [
+      currency,
+      rate === null ? '' : rate,
+      convert(record['Total Sales']),
+      convert(record.Commission),
+      convert(record['Commission Adjustment'])
+    ];
+  }
+}
+
+/**
+ * One row per pull execution in the Sync Log sheet, and statistics over that history
+ */
+class SyncLog {
+  static get SHEET_NAME() { return 'Sync Log'; }
+  // Oldest rows are deleted beyond this many runs
+  static get MAX_ROWS() { return 1000; }
+  // Runs included in success rate and average duration
+  static get STATS_WINDOW() { return 50; }
+  
+  static getHeaders() {
+    const endpointHeaders = Object.keys(CONFIG.ENDPOINTS).map(endpointKey => SyncLog.getEndpointHeader(endpointKey));
+    return [
+      'Started At', 'Ended At', 'Duration (s)', 'Pipeline', 'Trigger Source', 'Full Resync', 'Outcome'
+    ].concat(endpointHeaders, ['Pages Fetched', 'API Requests', 'Retries', 'Failed Endpoints', 'Error']);
   }
   
-  makeRequest(endpoint, params = {}, retryCount = 0) {
-    const allData = [];
-    let page = 1;
-    let hasMoreData = true;
-    
-    while (hasMoreData) {
-      const url = this.baseUrl + endpoint;
+  static getEndpointHeader(endpointKey) {
+    return endpointKey.charAt(0) + endpointKey.slice(1).toLowerCase() + ' Records';
+  }
+  
+  /**
+   * What started a pull: a trigger event, an explicit options.source ('menu', 'continuation'),
+   * or a manual run from the editor
+   */
+  static getTriggerSource(options) {
+    if (options && options.source) return options.source;
+    if (options && options.triggerUid) return 'trigger';
+    return 'manual';
+  }
+  
+  /**
+   * Append a run: { pipeline, options, startedAt, sync, status, error }
+   * sync and status are missing when the run failed before syncing began
+   * Failed and partial runs are then passed to ErrorReporter.notifySyncRun
+   * Logging problems are reported but never fail the pull itself
+   */
+  static record(run) {
+    try {
+      const endedAt = new Date();
+      const status = run.status || null;
+      const executionCounts = run.sync ? run.sync.executionCounts : {};
+      const totals = ApiClient.getExecutionTotals();
+      const failedEndpoints = status ? status.failedEndpoints : [];
+      const endpointErrors = (status && status.endpointErrors) || {};
       
-      // Add pagination parameters
-      const paginationParams = {
-        ...params,
-        limit: 100, // Maximum allowed per request
-        page: page
-      };
+      let outcome = 'success';
+      if (run.error) {
+        outcome = 'failed';
+      } else if (failedEndpoints.length > 0) {
+        outcome = 'partial';
+      } else if (status && status.state === 'in_progress') {
+        outcome = 'paused';
+      }
       
-      const queryString = Object.keys(paginationParams).length > 0 
-        ? '?' + Object.keys(paginationParams).map(key => `${key}=${encodeURIComponent(paginationParams[key])}`).join('&')
-        : '';
+      const row = [
+        run.startedAt,
+        endedAt,
+        Math.round((endedAt - run.startedAt) / 100) / 10,
+        run.pipeline,
+        SyncLog.getTriggerSource(run.options),
+        !!(run.options && run.options.fullResync),
+        outcome
+      ].concat(
+        Object.keys(CONFIG.ENDPOINTS).map(endpointKey => (executionCounts[endpointKey] ? executionCounts[endpointKey].records : 0)),
+        [
+          totals.pages,
+          totals.requests,
+          totals.retries,
+          failedEndpoints.join(', '),
+          run.error ? run.error.toString() : failedEndpoints.map(endpointKey => `${endpointKey}: ${endpointErrors[endpointKey] || 'failed'}`).join('; ')
+        ]
+      );
       
-      const options = {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        }
-      };
+      const headers = SyncLog.getHeaders();
+      const sheet = getOrCreateSheet(getOrCreateSpreadsheet(), SyncLog.SHEET_NAME);
+      if (sheet.getLastRow() === 0) {
+        sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+        sheet.setFrozenRows(1);
+      }
+      sheet.appendRow(row);
       
-      try {
-        // Add delay to respect rate limits
-        if (this.requestCount > 0) {
-          Utilities.sleep(1000); // 1 second delay between requests
-        }
-        
-        const response = UrlFetchApp.fetch(url + queryString, options);
-        const responseCode = response.getResponseCode();
-        this.requestCount++;
-        
-        if (responseCode === 429) { // Rate limited
-          if (retryCount < this.maxRetries) {
-            const delay = Math.pow(2, retryCount) * 1000; // Exponential backoff
-            Logger.log(`Rate limited, retrying in ${delay}ms...`);
-            Utilities.sleep(delay);
-            return this.makeRequest(endpoint, params, retryCount + 1);
-          } else {
-            throw new Error('Rate limit exceeded, max retries reached');
-          }
-        }
-        
-        if (responseCode !== 200) {
-          throw new Error(`API request failed with status ${responseCode}: ${response.getContentText()}`);
-        }
-        
-        const responseData = JSON.parse(response.getContentText());
-        
-        // Add current page data to all data
-        if (responseData.data && responseData.data.length > 0) {
-          allData.push(...responseData.data);
-          Logger.log(`Page ${page}: Retrieved ${responseData.data.length} records from ${endpoint}`);
-          
-          // Check if there are more pages
-          if (responseData.meta) {
-            hasMoreData = responseData.meta.current_page < responseData.meta.last_page;
-          } else if (responseData.links && responseData.links.next) {
-            hasMoreData = true;
-          } else {
-            hasMoreData = responseData.data.length === 100; // If we got max records, there might be more
-          }
-          
-          page++;
-          
-          // Add a small delay between pages
-          if (hasMoreData) {
-            Utilities.sleep(500); // 0.5 second delay between pages
-          }
-        } else {
-          hasMoreData = false;
-        }
-        
-      } catch (error) {
-        if (retryCount < this.maxRetries && error.toString().includes('timeout')) {
-          Logger.log(`Request timeout, retrying... (${retryCount + 1}/${this.maxRetries})`);
-          Utilities.sleep(2000);
-          return this.makeRequest(endpoint, params, retryCount + 1);
-        }
-        
-        Logger.log(`API request error for ${endpoint} (page ${page}): ${error.toString()}`);
-        throw error;
+      const excess = sheet.getLastRow() - 1 - SyncLog.MAX_ROWS;
+      if (excess > 0) {
+        sheet.deleteRows(2, excess);
       }
+      
+      ErrorReporter.notifySyncRun({
+        pipeline: run.pipeline,
+        outcome: outcome,
+        triggerSource: SyncLog.getTriggerSource(run.options),
+        error: run.error ? run.error.toString() : '',
+        endpointErrors: endpointErrors
+      });
+      return outcome;
+    } catch (error) {
+      ErrorReporter.logError('SyncLog.record', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Most recent runs first, as Sync Log records keyed by header
+   */
+  static getHistory(limit = SyncLog.STATS_WINDOW) {
+    const sheet = getOrCreateSpreadsheet().getSheetByName(StoreProfiles.getSheetName(SyncLog.SHEET_NAME));
+    return readSheetRecords(sheet).reverse().slice(0, limit);
+  }
+  
+  /**
+   * Summary of recent runs; success rate counts completed and paused runs without failed endpoints
+   */
+  static getStats() {
+    const history = SyncLog.getHistory();
+    if (history.length === 0) {
+      return { runs: 0, successRate: null, averageDurationSeconds: null, lastRun: null };
     }
     
-    Logger.log(`Total records retrieved from ${endpoint}: ${allData.length}`);
-    return { data: allData };
+    const successes = history.filter(run => run.Outcome === 'success' || run.Outcome === 'paused').length;
+    const totalDuration = history.reduce((total, run) => total + (Number(run['Duration (s)']) || 0), 0);
+    const last = history[0];
+    const toIso = value => (value instanceof Date ? value.toISOString() : String(value));
+    
+    return {
+      runs: history.length,
+      successRate: Math.round(successes / history.length * 1000) / 10,
+      averageDurationSeconds: Math.round(totalDuration / history.length * 10) / 10,
+      lastRun: {
+        startedAt: toIso(last['Started At']),
+        endedAt: toIso(last['Ended At']),
+        pipeline: last.Pipeline,
+        triggerSource: last['Trigger Source'],
+        outcome: last.Outcome,
+        durationSeconds: Number(last['Duration (s)']) || 0,
+        apiRequests: Number(last['API Requests']) || 0,
+        retries: Number(last.Retries) || 0,
+        error: last.Error || ''
+      }
+    };
   }
 }
 
 /**
- * Data formatting and validation utilities
+ * Webhook delivery that is refused: unreadable body, unknown event or no record ID
  */
-class DataFormatter {
-  static formatDate(dateString) {
-    if (!dateString) return '';
-    try {
-      return new Date(dateString).toLocaleString();
-    } catch (error) {
-      return dateString;
+class WebhookEventError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookEventError';
+  }
+}
+
+/**
+ * UpPromote webhook deliveries received by doPost (Webhooks.js), and the Webhook Log sheet
+ */
+class WebhookReceiver {
+  static get SECRET_KEY() { return 'UPPROMOTE_WEBHOOK_SECRET'; }
+  static get LOG_SHEET_NAME() { return 'Webhook Log'; }
+  static get LOG_HEADERS() { return ['Received At', 'Event', 'Record ID', 'Delivery ID', 'Result', 'Message']; }
+  // Oldest rows are deleted beyond this many deliveries
+  static get MAX_LOG_ROWS() { return 1000; }
+  
+  /**
+   * Whether the secret from the request matches the stored one, compared in constant time
+   */
+  static verifySecret(provided) {
+    const expected = PropertiesService.getScriptProperties().getProperty(StoreProfiles.getPropertyKey(WebhookReceiver.SECRET_KEY));
+    const actual = String(provided || '');
+    if (!expected || !actual) return false;
+    
+    let difference = expected.length ^ actual.length;
+    for (let i = 0; i < expected.length; i++) {
+      difference |= expected.charCodeAt(i) ^ actual.charCodeAt(i % actual.length);
     }
+    return difference === 0;
   }
   
-  static formatCurrency(amount, currency = 'USD') {
-    if (!amount) return '';
+  /**
+   * { event, endpointKey, record, deliveryId } from a request body such as
+   * { "event": "referral.created", "data": { "id": 123, ... } }
+   * The event name maps to an endpoint through CONFIG.WEBHOOK_EVENTS
+   */
+  static parse(body) {
+    let payload;
     try {
-      return new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: currency
-      }).format(amount);
+      payload = JSON.parse(body);
     } catch (error) {
-      return amount;
+      throw new WebhookEventError('Body is not valid JSON');
     }
+    if (!payload || typeof payload !== 'object') {
+      throw new WebhookEventError('Body is not a JSON object');
+    }
+    
+    const event = String(payload.event || payload.topic || payload.type || '').trim();
+    if (!event) {
+      throw new WebhookEventError('Body has no event name');
+    }
+    const endpointKey = CONFIG.WEBHOOK_EVENTS[event];
+    if (!endpointKey || !CONFIG.ENDPOINTS[endpointKey]) {
+      throw new WebhookEventError(`Unknown event "${event}"`);
+    }
+    
+    const record = payload.data || payload[endpointKey === 'AFFILIATES' ? 'affiliate' : 'referral'];
+    if (!record || record.id === undefined || record.id === null || record.id === '') {
+      throw new WebhookEventError(`"${event}" event has no record ID`);
+    }
+    
+    // Redeliveries repeat the sender's delivery ID; without one, the body itself identifies the delivery
+    const deliveryId = payload.delivery_id || payload.event_id || Utilities.base64Encode(
+      Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, body)
+    );
+    return { event: event, endpointKey: endpointKey, record: record, deliveryId: String(deliveryId) };
   }
   
-  static validateEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
-  }
-  
-  static sanitizeString(str) {
-    if (!str) return '';
-    return str.toString().replace(/[\r\n\t]/g, ' ').trim();
+  /**
+   * Append a delivery to the Webhook Log: { receivedAt, event, result, message }
+   * Logging problems are reported but never fail the delivery itself
+   */
+  static record(entry) {
+    try {
+      const sheet = getOrCreateSheet(getOrCreateSpreadsheet(), WebhookReceiver.LOG_SHEET_NAME);
+      if (sheet.getLastRow() === 0) {
+        sheet.getRange(1, 1, 1, WebhookReceiver.LOG_HEADERS.length).setValues([WebhookReceiver.LOG_HEADERS]).setFontWeight('bold');
+        sheet.setFrozenRows(1);
+      }
+      sheet.appendRow([
+        entry.receivedAt,
+        entry.event ? entry.event.event : '',
+        entry.event ? entry.event.record.id : '',
+        entry.event ? entry.event.deliveryId : '',
+        entry.result,
+        entry.message || ''
+      ]);
+      sheet.getRange(sheet.getLastRow(), 1).setNumberFormat(DataFormatter.DATE_TIME_FORMAT);
+      
+      const excess = sheet.getLastRow() - 1 - WebhookReceiver.MAX_LOG_ROWS;
+      if (excess > 0) {
+        sheet.deleteRows(2, excess);
+      }
+    } catch (error) {
+      ErrorReporter.logError('WebhookReceiver.record', error);
+    }
   }
 }
 
@@ -172,10 +2845,12 @@ class SheetManager {
     this.spreadsheet = spreadsheet;
   }
   
+  // Sheet names get the active store profile's prefix, if it has one
   getOrCreateSheet(sheetName) {
-    let sheet = this.spreadsheet.getSheetByName(sheetName);
+    const name = StoreProfiles.getSheetName(sheetName);
+    let sheet = this.spreadsheet.getSheetByName(name);
     if (!sheet) {
-      sheet = this.spreadsheet.insertSheet(sheetName);
+      sheet = this.spreadsheet.insertSheet(name);
       this.formatSheet(sheet);
     }
     return sheet;
@@ -190,7 +2865,7 @@ class SheetManager {
     }
   }
   
-  writeDataWithFormatting(sheet, headers, rows) {
+  writeDataWithFormatting(sheet, headers, rows, numberFormats = {}) {
     // Clear existing content
     sheet.clear();
     
@@ -213,6 +2888,7 @@ class SheetManager {
       banding.setFirstRowColor('#ffffff');
       banding.setSecondRowColor('#f8f9fa');
     }
+    SheetUpsertWriter.applyNumberFormats(sheet, SheetUpsertWriter.getColumnMap(headers), numberFormats);
     
     // Auto-resize columns
     sheet.autoResizeColumns(1, headers.length);
@@ -221,33 +2897,443 @@ class SheetManager {
     sheet.setFrozenRows(1);
   }
   
-  addSummarySheet(data) {
+  upsertDataWithFormatting(sheet, headers, rows, options = {}) {
+    const wasEmpty = sheet.getLastRow() === 0;
+    const stats = SheetUpsertWriter.upsert(sheet, headers, rows, options);
+    const lastRow = sheet.getLastRow();
+    const lastColumn = sheet.getLastColumn();
+    
+    // Style the full header row, including any columns the writer added
+    const headerRange = sheet.getRange(1, 1, 1, lastColumn);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#4285f4');
+    headerRange.setFontColor('#ffffff');
+    
+    if (wasEmpty && lastRow > 1) {
+      const banding = sheet.getRange(1, 1, lastRow, lastColumn).setBanding(SpreadsheetApp.BandingTheme.LIGHT_GREY);
+      banding.setHeaderRowColor('#4285f4');
+      banding.setHeaderRowFontColor('#ffffff');
+      banding.setFirstRowColor('#ffffff');
+      banding.setSecondRowColor('#f8f9fa');
+    } else {
+      // Stretch the existing banding over appended rows and columns
+      sheet.getBandings().forEach(banding => {
+        banding.setRange(sheet.getRange(1, 1, lastRow, lastColumn));
+      });
+    }
+    
+    sheet.autoResizeColumns(1, lastColumn);
+    sheet.setFrozenRows(1);
+    return stats;
+  }
+  
+  hasHeaders(sheet, headers) {
+    return sheetHasHeaders(sheet, headers);
+  }
+  
+  /**
+   * Write several titled tables one under the other: sections are { title, headers, rows, numberFormats }
+   */
+  writeSections(sheet, sections) {
+    sheet.clear();
+    
+    let row = 1;
+    sections.forEach(section => {
+      sheet.getRange(row, 1).setValue(section.title).setFontSize(12).setFontWeight('bold');
+      const headerRange = sheet.getRange(row + 1, 1, 1, section.headers.length);
+      headerRange.setValues([section.headers]);
+      headerRange.setFontWeight('bold');
+      headerRange.setBackground('#4285f4');
+      headerRange.setFontColor('#ffffff');
+      
+      if (section.rows.length > 0) {
+        sheet.getRange(row + 2, 1, section.rows.length, section.headers.length).setValues(section.rows);
+        SheetUpsertWriter.applyNumberFormats(sheet, SheetUpsertWriter.getColumnMap(section.headers), section.numberFormats, row + 2, section.rows.length);
+      }
+      row += section.rows.length + 3;
+    });
+    
+    sheet.autoResizeColumns(1, Math.max(...sections.map(section => section.headers.length)));
+  }
+  
+  /**
+   * Write a report whose first rows are label/value filter cells, followed by a blank row
+   * and the table; the header row sits below the filters and everything above it is frozen
+   */
+  writeReportWithFilters(sheet, filterRows, headers, rows, numberFormats = {}) {
+    sheet.clear();
+    
+    sheet.getRange(1, 1, filterRows.length, 2).setValues(filterRows);
+    sheet.getRange(1, 1, filterRows.length, 1).setFontWeight('bold');
+    
+    const headerRow = filterRows.length + 2;
+    const headerRange = sheet.getRange(headerRow, 1, 1, headers.length);
+    headerRange.setValues([headers]);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#4285f4');
+    headerRange.setFontColor('#ffffff');
+    
+    if (rows.length > 0) {
+      sheet.getRange(headerRow + 1, 1, rows.length, headers.length).setValues(rows);
+      SheetUpsertWriter.applyNumberFormats(sheet, SheetUpsertWriter.getColumnMap(headers), numberFormats, headerRow + 1, rows.length);
+    }
+    
+    sheet.autoResizeColumns(1, headers.length);
+    sheet.setFrozenRows(headerRow);
+    return headerRow;
+  }
+  
+  addSummarySheet(data, syncStatus) {
     const summarySheet = this.getOrCreateSheet('Summary');
     summarySheet.clear();
     
+    const status = syncStatus || ResumableSync.getLastStatus();
+    const failedEndpoints = status ? status.failedEndpoints : [];
+    let syncState = 'Unknown';
+    if (status) {
+      syncState = status.state === 'complete' ? 'Complete' : 'In progress (resumes automatically)';
+    }
+    if (failedEndpoints.length > 0) {
+      syncState += ` - ${failedEndpoints.join(', ')} failed (see Sync Log)`;
+    }
+    // A failed endpoint shows "Failed" rather than a count of 0
+    const countFor = (endpointKey, count) => (failedEndpoints.indexOf(endpointKey) !== -1 ? 'Failed' : count || 0);
+    
     const summaryData = [
       ['UpPromote Data Summary', ''],
-      ['Last Updated', new Date().toLocaleString()],
+      ['Last Updated', new Date()],
+      ['Sync Status', syncState],
+      ['Sync Started', status ? new Date(status.runStartedAt) : ''],
       ['', ''],
       ['Data Type', 'Count'],
-      ['Affiliates', data.affiliates || 0],
-      ['Referrals', data.referrals || 0],
-      ['Coupons', data.coupons || 0]
+      ['Affiliates', countFor('AFFILIATES', data.affiliates)],
+      ['Referrals', countFor('REFERRALS', data.referrals)],
+      ['Coupons', countFor('COUPONS', data.coupons)],
+      ['Payouts', data.payouts || 0]
     ];
     
     summarySheet.getRange(1, 1, summaryData.length, 2).setValues(summaryData);
+    summarySheet.getRange(2, 2).setNumberFormat(DataFormatter.DATE_TIME_FORMAT);
+    summarySheet.getRange(4, 2).setNumberFormat(DataFormatter.DATE_TIME_FORMAT);
     
     // Format summary sheet
     summarySheet.getRange(1, 1).setFontSize(14).setFontWeight('bold');
-    summarySheet.getRange(4, 1, 1, 2).setFontWeight('bold').setBackground('#e8f0fe');
+    summarySheet.getRange(6, 1, 1, 2).setFontWeight('bold').setBackground('#e8f0fe');
     summarySheet.autoResizeColumns(1, 2);
   }
 }
 
+/**
+ * Merge writer that upserts rows by ID and leaves unmanaged columns untouched
+ */
+class SheetUpsertWriter {
+  static get KEY_HEADER() {
+    return 'ID';
+  }
+  
+  static get LAST_SEEN_HEADER() {
+    return 'Last Seen';
+  }
+  
+  static get SYNC_STATUS_HEADER() {
+    return 'Sync Status';
+  }
+  
+  /**
+   * One row per ID, where the last row for an ID wins but keeps the position of the first;
+   * pages that shift during a pull can return the same record twice
+   */
+  static collapseById(rows, keyIndex) {
+    const positionById = {};
+    const collapsed = [];
+    rows.forEach(row => {
+      const id = String(row[keyIndex]);
+      if (id === '' || !(id in positionById)) {
+        positionById[id] = collapsed.length;
+        collapsed.push(row);
+      } else {
+        collapsed[positionById[id]] = row;
+      }
+    });
+    return collapsed;
+  }
+  
+  /**
+   * Upsert rows into a sheet, matching managed columns by header name
+   * Options: lastSeen stamps every written row with the sync run time (see markRemoved);
+   * numberFormats maps headers to the sheet number format of their column
+   */
+  static upsert(sheet, headers, rows, options = {}) {
+    const stats = { updated: 0, appended: 0, unchanged: 0 };
+    const keyIndex = headers.indexOf(this.KEY_HEADER);
+    if (keyIndex === -1) {
+      throw new Error(`Cannot upsert without an "${this.KEY_HEADER}" column`);
+    }
+    rows = this.collapseById(rows, keyIndex);
+    
+    const lastSeen = options.lastSeen ? new Date(options.lastSeen) : null;
+    const managedHeaders = lastSeen ? headers.concat(this.LAST_SEEN_HEADER) : headers;
+    const withLastSeen = row => (lastSeen ? row.concat(lastSeen) : row);
+    const numberFormats = Object.assign({}, options.numberFormats);
+    if (lastSeen) {
+      numberFormats[this.LAST_SEEN_HEADER] = DataFormatter.DATE_TIME_FORMAT;
+    }
+    
+    // Empty sheet: plain write of headers and rows
+    if (sheet.getLastRow() === 0) {
+      sheet.getRange(1, 1, 1, managedHeaders.length).setValues([managedHeaders]);
+      if (rows.length > 0) {
+        sheet.getRange(2, 1, rows.length, managedHeaders.length).setValues(rows.map(withLastSeen));
+      }
+      this.applyNumberFormats(sheet, this.getColumnMap(managedHeaders), numberFormats);
+      stats.appended = rows.length;
+      return stats;
+    }
+    
+    const columnMap = this.resolveColumns(sheet, managedHeaders);
+    const lastRow = sheet.getLastRow();
+    const lastColumn = sheet.getLastColumn();
+    const existing = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, lastColumn).getValues() : [];
+    
+    // Index existing rows by ID
+    const keyColumn = columnMap[this.KEY_HEADER];
+    const rowIndexById = {};
+    existing.forEach((row, index) => {
+      const id = row[keyColumn - 1];
+      if (id !== '' && id !== null) {
+        rowIndexById[String(id)] = index;
+      }
+    });
+    
+    const dirtyRows = {};
+    const newRows = [];
+    rows.forEach(row => {
+      const id = String(row[keyIndex]);
+      if (!(id in rowIndexById)) {
+        newRows.push(withLastSeen(row));
+        return;
+      }
+      
+      const rowIndex = rowIndexById[id];
+      const target = existing[rowIndex];
+      let changed = false;
+      headers.forEach((header, index) => {
+        const column = columnMap[header] - 1;
+        if (!this.valuesEqual(target[column], row[index])) {
+          target[column] = row[index];
+          changed = true;
+        }
+      });
+      
+      if (changed) {
+        stats.updated++;
+      } else {
+        stats.unchanged++;
+      }
+      
+      // A new Last Seen stamp rewrites the row without counting as a data change
+      if (lastSeen) {
+        const lastSeenColumn = columnMap[this.LAST_SEEN_HEADER] - 1;
+        if (!this.valuesEqual(target[lastSeenColumn], lastSeen)) {
+          target[lastSeenColumn] = lastSeen;
+          changed = true;
+        }
+      }
+      
+      if (changed) {
+        dirtyRows[rowIndex] = true;
+      }
+    });
+    
+    // Write back changed rows, one managed column block at a time
+    const managedColumns = managedHeaders.map(header => columnMap[header]);
+    const columnBlocks = this.groupContiguous(managedColumns);
+    const dirtyBlocks = this.groupContiguous(Object.keys(dirtyRows).map(Number));
+    dirtyBlocks.forEach(rowBlock => {
+      columnBlocks.forEach(columnBlock => {
+        const values = existing
+          .slice(rowBlock.start, rowBlock.start + rowBlock.length)
+          .map(row => row.slice(columnBlock.start - 1, columnBlock.start - 1 + columnBlock.length));
+        sheet.getRange(rowBlock.start + 2, columnBlock.start, rowBlock.length, columnBlock.length).setValues(values);
+      });
+    });
+    
+    // Append rows for new IDs below the existing data
+    if (newRows.length > 0) {
+      const appendStart = sheet.getLastRow() + 1;
+      const width = Math.max(...managedColumns);
+      const appended = newRows.map(row => {
+        const fullRow = new Array(width).fill('');
+        managedHeaders.forEach((header, index) => {
+          fullRow[columnMap[header] - 1] = row[index];
+        });
+        return fullRow;
+      });
+      columnBlocks.forEach(columnBlock => {
+        const values = appended.map(row => row.slice(columnBlock.start - 1, columnBlock.start - 1 + columnBlock.length));
+        sheet.getRange(appendStart, columnBlock.start, values.length, columnBlock.length).setValues(values);
+      });
+      stats.appended = newRows.length;
+    }
+    
+    this.applyNumberFormats(sheet, columnMap, numberFormats);
+    return stats;
+  }
+  
+  /**
+   * Set the number format of data columns, found by header in a header-to-column map
+   * By default the whole column below the header row is formatted
+   */
+  static applyNumberFormats(sheet, columnMap, numberFormats, firstRow = 2, rowCount = Math.max(sheet.getLastRow() - firstRow + 1, 1)) {
+    Object.keys(numberFormats || {}).forEach(header => {
+      if (columnMap[header]) {
+        sheet.getRange(firstRow, columnMap[header], rowCount, 1).setNumberFormat(numberFormats[header]);
+      }
+    });
+  }
+  
+  /**
+   * Header-to-column map for headers written from column 1
+   */
+  static getColumnMap(headers) {
+    const columnMap = {};
+    headers.forEach((header, index) => {
+      columnMap[header] = index + 1;
+    });
+    return columnMap;
+  }
+  
+  /**
+   * Flag rows not seen since the given sync run start as "removed" and clear the flag on the rest
+   */
+  static markRemoved(sheet, runStartedAt) {
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return 0;
+    
+    const columnMap = this.resolveColumns(sheet, [this.KEY_HEADER, this.LAST_SEEN_HEADER, this.SYNC_STATUS_HEADER]);
+    const values = sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn()).getValues();
+    const cutoff = new Date(runStartedAt).getTime();
+    let removed = 0;
+    
+    const statuses = values.map(row => {
+      if (row[columnMap[this.KEY_HEADER] - 1] === '') {
+        return [row[columnMap[this.SYNC_STATUS_HEADER] - 1]];
+      }
+      const lastSeen = row[columnMap[this.LAST_SEEN_HEADER] - 1];
+      const isRemoved = !lastSeen || new Date(lastSeen).getTime() < cutoff;
+      if (isRemoved) removed++;
+      return [isRemoved ? 'removed' : ''];
+    });
+    
+    sheet.getRange(2, columnMap[this.SYNC_STATUS_HEADER], statuses.length, 1).setValues(statuses);
+    return removed;
+  }
+  
+  /**
+   * Map each header to its 1-based column, adding missing headers after the last column
+   */
+  static resolveColumns(sheet, headers) {
+    const lastColumn = Math.max(sheet.getLastColumn(), 1);
+    const headerRow = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+    const columnMap = {};
+    let nextColumn = lastColumn + 1;
+    
+    headers.forEach(header => {
+      const index = headerRow.indexOf(header);
+      if (index !== -1) {
+        columnMap[header] = index + 1;
+      } else {
+        sheet.getRange(1, nextColumn).setValue(header);
+        columnMap[header] = nextColumn;
+        nextColumn++;
+      }
+    });
+    
+    return columnMap;
+  }
+  
+  /**
+   * Map each header to its 1-based column, throwing if any is missing from the sheet
+   * For columns a command reads, where a new empty column would silently skip every row
+   */
+  static requireColumns(sheet, headers) {
+    const headerRow = sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).getValues()[0];
+    const missing = headers.filter(header => headerRow.indexOf(header) === -1);
+    if (missing.length > 0) {
+      throw new Error(`The ${sheet.getName()} sheet has no ${missing.map(header => `"${header}"`).join(', ')} column. Pull again or check the header in the Columns sheet.`);
+    }
+    
+    const columnMap = {};
+    headers.forEach(header => {
+      columnMap[header] = headerRow.indexOf(header) + 1;
+    });
+    return columnMap;
+  }
+  
+  /**
+   * Group sorted integers into { start, length } runs
+   */
+  static groupContiguous(numbers) {
+    const sorted = numbers.slice().sort((a, b) => a - b);
+    const blocks = [];
+    sorted.forEach(number => {
+      const last = blocks[blocks.length - 1];
+      if (last && last.start + last.length === number) {
+        last.length++;
+      } else {
+        blocks.push({ start: number, length: 1 });
+      }
+    });
+    return blocks;
+  }
+  
+  /**
+   * Compare a sheet value with an incoming value, allowing for Sheets' type coercion
+   */
+  static valuesEqual(existing, incoming) {
+    if (existing === incoming) return true;
+    if (existing instanceof Date) {
+      const incomingTime = incoming instanceof Date ? incoming.getTime() : new Date(incoming).getTime();
+      return existing.getTime() === incomingTime;
+    }
+    return String(existing) === String(incoming);
+  }
+}
+
 /**
  * Error reporting and monitoring
  */
 class ErrorReporter {
+  // Sent notifications by fingerprint, so the same problem is not sent on every trigger run
+  static get SENT_KEY() { return 'UPPROMOTE_NOTIFICATIONS_SENT'; }
+  // Optional JSON array of channels in Script Properties, added to CONFIG.NOTIFICATION_CHANNELS
+  static get CHANNELS_KEY() { return 'UPPROMOTE_NOTIFICATION_CHANNELS'; }
+  
+  /**
+   * Senders by channel type; add an entry here to support another kind of channel
+   */
+  static get CHANNEL_SENDERS() {
+    return {
+      email: (channel, notification) => {
+        MailApp.sendEmail(channel.to, notification.subject, notification.message);
+      },
+      webhook: (channel, notification) => {
+        const payload = channel.format === 'json'
+          ? notification
+          : { text: `${notification.subject}\n${notification.message}` };
+        const response = UrlFetchApp.fetch(channel.url, {
+          method: 'POST',
+          contentType: 'application/json',
+          payload: JSON.stringify(payload),
+          muteHttpExceptions: true
+        });
+        if (response.getResponseCode() >= 300) {
+          throw new Error(`Webhook responded with ${response.getResponseCode()}: ${response.getContentText()}`);
+        }
+      }
+    };
+  }
+  
   static logError(context, error, additionalInfo = {}) {
     const errorLog = {
       timestamp: new Date().toISOString(),
@@ -259,13 +3345,165 @@ class ErrorReporter {
     
     Logger.log('ERROR: ' + JSON.stringify(errorLog, null, 2));
     
-    // Optional: Send error to external monitoring service
-    // this.sendToMonitoring(errorLog);
+    // Sync failures reach the notification channels through notifySyncRun, once per run
+  }
+  
+  static logWarning(context, message, additionalInfo = {}) {
+    const warningLog = {
+      timestamp: new Date().toISOString(),
+      context: context,
+      warning: message,
+      additionalInfo: additionalInfo
+    };
+    
+    Logger.log('WARNING: ' + JSON.stringify(warningLog, null, 2));
+  }
+  
+  /**
+   * Notify about a logged sync run: { pipeline, outcome, triggerSource, error, endpointErrors }
+   * Failed and partial runs are sent, and so is a streak of CONFIG.REPEATED_FAILURE_THRESHOLD
+   * failed or partial runs in the Sync Log. A successful run clears the de-duplication history.
+   */
+  static notifySyncRun(run) {
+    if (run.outcome === 'success') {
+      PropertiesService.getScriptProperties().deleteProperty(StoreProfiles.getPropertyKey(ErrorReporter.SENT_KEY));
+      return;
+    }
+    if (run.outcome !== 'failed' && run.outcome !== 'partial') return;
+    
+    const pipeline = StoreProfiles.describe(run.pipeline);
+    const endpointKeys = Object.keys(run.endpointErrors || {});
+    const details = run.outcome === 'failed'
+      ? run.error
+      : endpointKeys.map(endpointKey => `${endpointKey}: ${run.endpointErrors[endpointKey]}`).join('\n');
+    ErrorReporter.sendToMonitoring({
+      type: run.outcome === 'failed' ? 'run_failed' : 'partial_failure',
+      subject: run.outcome === 'failed'
+        ? `UpPromote sync failed (${pipeline})`
+        : `UpPromote sync partially failed: ${endpointKeys.join(', ')} (${pipeline})`,
+      message: `Started by: ${run.triggerSource}\n${details}`,
+      pipeline: pipeline,
+      fingerprint: [run.outcome, pipeline, details]
+    });
+    
+    const streak = ErrorReporter.countConsecutiveFailures();
+    if (streak >= CONFIG.REPEATED_FAILURE_THRESHOLD) {
+      ErrorReporter.sendToMonitoring({
+        type: 'repeated_failure',
+        subject: `UpPromote sync has failed ${streak} times in a row`,
+        message: `The last ${streak} runs failed or partially failed. Latest (${pipeline}):\n${details}\nSee the Sync Log sheet for the full history.`,
+        pipeline: pipeline,
+        fingerprint: ['repeated_failure']
+      });
+    }
+  }
+  
+  /**
+   * Failed or partial runs at the top of the Sync Log, newest first
+   */
+  static countConsecutiveFailures() {
+    let streak = 0;
+    const history = SyncLog.getHistory();
+    for (let i = 0; i < history.length; i++) {
+      if (history[i].Outcome !== 'failed' && history[i].Outcome !== 'partial') break;
+      streak++;
+    }
+    return streak;
+  }
+  
+  /**
+   * Configured channels: CONFIG.NOTIFICATION_CHANNELS plus any stored in Script Properties
+   */
+  static getChannels() {
+    const stored = PropertiesService.getScriptProperties().getProperty(ErrorReporter.CHANNELS_KEY);
+    let storedChannels = [];
+    if (stored) {
+      try {
+        storedChannels = JSON.parse(stored);
+      } catch (error) {
+        ErrorReporter.logWarning('ErrorReporter.getChannels', `${ErrorReporter.CHANNELS_KEY} is not valid JSON`);
+      }
+    }
+    return (CONFIG.NOTIFICATION_CHANNELS || []).concat(storedChannels);
+  }
+  
+  /**
+   * Send { type, subject, message, pipeline, fingerprint } to every channel, unless the same
+   * fingerprint was sent within CONFIG.NOTIFICATION_DEDUP_HOURS. Numbers are ignored when comparing,
+   * so page numbers and timestamps in error messages don't defeat de-duplication.
+   * Returns the number of channels notified.
+   */
+  static sendToMonitoring(notification) {
+    if (ErrorReporter.getChannels().length === 0) return 0;
+    
+    const properties = PropertiesService.getScriptProperties();
+    const fingerprint = Utilities.base64Encode(Utilities.computeDigest(
+      Utilities.DigestAlgorithm.MD5,
+      JSON.stringify(notification.fingerprint).replace(/\d+/g, '#')
+    ));
+    const now = Date.now();
+    const windowMs = CONFIG.NOTIFICATION_DEDUP_HOURS * 60 * 60 * 1000;
+    const sentKey = StoreProfiles.getPropertyKey(ErrorReporter.SENT_KEY);
+    const sent = JSON.parse(properties.getProperty(sentKey) || '{}');
+    Object.keys(sent).forEach(key => {
+      if (now - sent[key] >= windowMs) delete sent[key];
+    });
+    if (sent[fingerprint]) {
+      Logger.log(`Notification "${notification.subject}" already sent - skipped`);
+      return 0;
+    }
+    
+    const delivered = ErrorReporter.deliver(notification);
+    if (delivered > 0) {
+      sent[fingerprint] = now;
+      properties.setProperty(sentKey, JSON.stringify(sent));
+    }
+    return delivered;
   }
   
-  static sendToMonitoring(errorLog) {
-    // Implement external error monitoring if needed
-    // Example: send to webhook, email, or monitoring service
+  /**
+   * Send { type, subject, message, pipeline } to every channel without de-duplication
+   * With fallbackToOwner and no channel configured, it is emailed to the account the script runs as
+   * Returns the number of channels notified
+   */
+  static deliver(notification, fallbackToOwner = false) {
+    let channels = ErrorReporter.getChannels();
+    if (channels.length === 0 && fallbackToOwner) {
+      const ownerEmail = Session.getEffectiveUser().getEmail();
+      if (ownerEmail) {
+        channels = [{ type: 'email', to: ownerEmail }];
+      } else {
+        ErrorReporter.logWarning('ErrorReporter.deliver', `No notification channel configured and no owner email to send "${notification.subject}" to`);
+      }
+    }
+    if (channels.length === 0) return 0;
+    
+    const senders = ErrorReporter.CHANNEL_SENDERS;
+    const payload = {
+      type: notification.type,
+      subject: notification.subject,
+      message: notification.message,
+      pipeline: notification.pipeline,
+      spreadsheetUrl: getOrCreateSpreadsheet().getUrl(),
+      timestamp: new Date().toISOString()
+    };
+    payload.message += `\n${payload.spreadsheetUrl}`;
+    
+    let delivered = 0;
+    channels.forEach(channel => {
+      const sender = senders[channel.type];
+      if (!sender) {
+        ErrorReporter.logWarning('ErrorReporter.deliver', `Unknown notification channel type "${channel.type}"`);
+        return;
+      }
+      try {
+        sender(channel, payload);
+        delivered++;
+      } catch (error) {
+        ErrorReporter.logError('ErrorReporter.deliver', error, { channel: channel.type });
+      }
+    });
+    return delivered;
   }
 }
 
@@ -294,4 +3532,46 @@ class ConfigValidator {
     
     return true;
   }
+  
+  /**
+   * Store profiles need unique names, and a spreadsheetId or sheetPrefix so their sheets don't overlap
+   */
+  static validateStoreProfiles(profiles) {
+    const errors = [];
+    const names = {};
+    const targets = {};
+    
+    profiles.forEach((profile, index) => {
+      const id = StoreProfiles.getId(profile);
+      const label = id ? `"${profile.name}"` : `#${index + 1}`;
+      if (!id) {
+        errors.push(`store profile ${label} needs a name`);
+      } else if (names[id]) {
+        errors.push(`store profile name ${label} is used more than once`);
+      }
+      names[id] = true;
+      
+      if (!profile.spreadsheetId && !profile.sheetPrefix) {
+        errors.push(`store profile ${label} needs a spreadsheetId or a sheetPrefix`);
+      } else {
+        const target = (profile.spreadsheetId || '') + '|' + (profile.sheetPrefix || '');
+        if (targets[target]) {
+          errors.push(`store profiles ${targets[target]} and ${label} write to the same sheets`);
+        }
+        targets[target] = label;
+      }
+      
+      (profile.endpoints || []).forEach(endpointKey => {
+        if (!CONFIG.ENDPOINTS[endpointKey]) {
+          errors.push(`store profile ${label} has an unknown endpoint ${endpointKey}`);
+        }
+      });
+    });
+    
+    if (errors.length > 0) {
+      throw new Error('Configuration validation failed: ' + errors.join(', '));
+    }
+    
+    return true;
+  }
 }
@@ -0,0 +1,113 @@
+/**
+ * Web app endpoint for UpPromote webhooks
+ * Referrals and affiliates from webhook events are upserted into their sheets as they arrive,
+ * so they show up before the next scheduled pull
+ */
+
+/**
+ * Receive one webhook delivery and answer with { ok, result, message } as JSON
+ * Apps Script web apps can't read request headers, so the shared secret comes in the query
+ * string (?secret=...), along with ?store=... for a store profile
+ */
+function doPost(e) {
+  const parameters = (e && e.parameter) || {};
+  const body = e && e.postData ? e.postData.contents : '';
+  const outcome = handleWebhookDelivery(parameters, body);
+  return ContentService.createTextOutput(JSON.stringify(outcome)).setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Verify, parse and apply a delivery for the store in parameters.store (none for a single store)
+ * Deliveries with a valid secret are written to the Webhook Log; the rest only to the execution log,
+ * so anonymous requests can't fill the sheet or hold the script lock
+ */
+function handleWebhookDelivery(parameters, body) {
+  let profile = null;
+  try {
+    profile = parameters.store ? StoreProfiles.get(parameters.store) : null;
+  } catch (error) {
+    ErrorReporter.logWarning('doPost', error.message);
+    return { ok: false, result: 'rejected', message: error.message };
+  }
+  
+  return StoreProfiles.run(profile, () => {
+    if (!WebhookReceiver.verifySecret(parameters.secret)) {
+      ErrorReporter.logWarning('doPost', 'Missing or wrong secret');
+      return { ok: false, result: 'rejected', message: 'Missing or wrong secret' };
+    }
+    
+    const receivedAt = new Date();
+    let event = null;
+    let outcome;
+    const lock = LockService.getScriptLock();
+    
+    try {
+      lock.waitLock(30000);
+      event = WebhookReceiver.parse(body);
+      
+      const idempotencyKey = 'webhook_' + StoreProfiles.getPropertyKey(event.deliveryId);
+      if (IdempotencyStore.get(idempotencyKey)) {
+        outcome = { ok: true, result: 'duplicate', message: 'Already processed' };
+      } else {
+        const stats = upsertWebhookRecord(event);
+        outcome = { ok: true, result: stats.appended > 0 ? 'added' : stats.updated > 0 ? 'updated' : 'unchanged' };
+        IdempotencyStore.record(idempotencyKey, outcome);
+      }
+    } catch (error) {
+      if (error instanceof WebhookEventError) {
+        outcome = { ok: false, result: 'rejected', message: error.message };
+        ErrorReporter.logWarning('doPost', error.message);
+      } else {
+        outcome = { ok: false, result: 'error', message: error.toString() };
+        ErrorReporter.logError('doPost', error);
+      }
+    } finally {
+      lock.releaseLock();
+    }
+    
+    WebhookReceiver.record({ receivedAt: receivedAt, event: event, result: outcome.result, message: outcome.message });
+    return outcome;
+  });
+}
+
+/**
+ * Upsert an event's record by ID into the sheet of its endpoint, as the pulls would write it
+ * Only columns whose fields are in the payload are written, so a partial record
+ * (e.g. a status change) doesn't blank the rest of the row
+ */
+function upsertWebhookRecord(event) {
+  const schema = ColumnSchema.forEndpoint(event.endpointKey);
+  const columns = schema.columns.filter(column => {
+    return column.source.split('+').some(path => ColumnSchema.getPath(event.record, path.trim()) !== undefined);
+  });
+  const partialSchema = new ColumnSchema(event.endpointKey, columns);
+  
+  const sheetManager = new SheetManager(getOrCreateSpreadsheet());
+  const sheet = sheetManager.getOrCreateSheet(event.endpointKey.charAt(0) + event.endpointKey.slice(1).toLowerCase());
+  return sheetManager.upsertDataWithFormatting(sheet, partialSchema.getHeaders(), [partialSchema.mapRow(event.record)], {
+    lastSeen: new Date(),
+    numberFormats: partialSchema.getNumberFormats()
+  });
+}
+
+/**
+ * Create (or replace) the webhook secret and return the URL to register with UpPromote
+ * Pass a store profile name to create that store's secret; deploy the web app first
+ */
+function setupWebhookSecret(storeName) {
+  const profile = storeName ? StoreProfiles.get(storeName) : null;
+  const secret = Utilities.getUuid().replace(/-/g, '') + Utilities.getUuid().replace(/-/g, '');
+  
+  return StoreProfiles.run(profile, () => {
+    PropertiesService.getScriptProperties().setProperty(StoreProfiles.getPropertyKey(WebhookReceiver.SECRET_KEY), secret);
+    
+    const serviceUrl = ScriptApp.getService().getUrl();
+    if (!serviceUrl) {
+      Logger.log('Webhook secret stored. Deploy the script as a web app to get the URL to register.');
+      return null;
+    }
+    const url = `${serviceUrl}?secret=${secret}` + (profile ? `&store=${encodeURIComponent(profile.name)}` : '');
+    Logger.log('Register this webhook URL with UpPromote: ' + url);
+    return url;
+  });
+}
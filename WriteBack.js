@@ -0,0 +1,560 @@
+/**
+ * Write-back commands that push changes made in the spreadsheet to UpPromote
+ */
+
+// Columns the team fills in next to the pulled referral data
+const REFERRAL_WORKFLOW_HEADERS = {
+  ACTION: 'Action',
+  RESULT: 'Result'
+};
+
+/**
+ * Add the Action and Result columns to the Referrals sheet, with a dropdown of actions
+ * Pass a store profile name to set up that store's Referrals sheet
+ */
+function setupReferralActions(storeName) {
+  if (storeName) {
+    return StoreProfiles.run(StoreProfiles.get(storeName), () => setupReferralActions());
+  }
+  
+  const sheet = getOrCreateSpreadsheet().getSheetByName(StoreProfiles.getSheetName('Referrals'));
+  if (!sheet || sheet.getLastRow() === 0) {
+    throw new Error('Referrals sheet not found. Please pull data before setting up referral actions.');
+  }
+  
+  const columns = SheetUpsertWriter.resolveColumns(sheet, [REFERRAL_WORKFLOW_HEADERS.ACTION, REFERRAL_WORKFLOW_HEADERS.RESULT]);
+  const rule = SpreadsheetApp.newDataValidation()
+    .requireValueInList(Object.keys(CONFIG.REFERRAL_ACTIONS), true)
+    .setAllowInvalid(false)
+    .build();
+  sheet.getRange(2, columns[REFERRAL_WORKFLOW_HEADERS.ACTION], Math.max(1, sheet.getMaxRows() - 1), 1).setDataValidation(rule);
+  sheet.getRange(1, 1, 1, sheet.getLastColumn()).setFontWeight('bold');
+  
+  Logger.log('Referral Action and Result columns are ready');
+  return columns;
+}
+
+/**
+ * Submit every referral with an Action to UpPromote and record the outcome in the Result column
+ * Rows whose status changed in UpPromote since the last pull are skipped
+ * With a store profile name, that store's Referrals sheet and API key are used
+ */
+function submitReferralActions(storeName) {
+  if (storeName) {
+    return StoreProfiles.run(StoreProfiles.get(storeName), () => submitReferralActions());
+  }
+  
+  const summary = { submitted: 0, skipped: 0, failed: 0 };
+  
+  try {
+    const apiClient = ApiClient.fromConfig();
+    const spreadsheet = getOrCreateSpreadsheet();
+    const sheet = spreadsheet.getSheetByName(StoreProfiles.getSheetName('Referrals'));
+    if (!sheet || sheet.getLastRow() < 2) {
+      Logger.log('No referrals found - run a data pull first');
+      return summary;
+    }
+    
+    // The Status header may have been renamed in the Columns sheet
+    const statusHeader = ColumnSchema.forEndpoint('REFERRALS').getHeader('status') || 'Status';
+    const columns = SheetUpsertWriter.requireColumns(sheet, [SheetUpsertWriter.KEY_HEADER, statusHeader]);
+    Object.assign(columns, setupReferralActions());
+    
+    const lastRow = sheet.getLastRow();
+    const values = sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn()).getValues();
+    const actionValues = values.map(row => [row[columns[REFERRAL_WORKFLOW_HEADERS.ACTION] - 1]]);
+    const resultValues = values.map(row => [row[columns[REFERRAL_WORKFLOW_HEADERS.RESULT] - 1]]);
+    const timestamp = Utilities.formatDate(new Date(), spreadsheet.getSpreadsheetTimeZone(), 'yyyy-MM-dd HH:mm');
+    const refreshed = [];
+    
+    values.forEach((row, index) => {
+      const action = String(actionValues[index][0]).trim().toLowerCase();
+      if (!action) return;
+      
+      const outcome = submitReferralAction(apiClient, row[columns[SheetUpsertWriter.KEY_HEADER] - 1], action, String(row[columns[statusHeader] - 1]));
+      resultValues[index][0] = `${outcome.label}: ${outcome.message} (${timestamp})`;
+      summary[outcome.result]++;
+      
+      if (outcome.result === 'submitted') {
+        actionValues[index][0] = '';
+      }
+      if (outcome.referral) {
+        refreshed.push(outcome.referral);
+      }
+    });
+    
+    sheet.getRange(2, columns[REFERRAL_WORKFLOW_HEADERS.ACTION], actionValues.length, 1).setValues(actionValues);
+    sheet.getRange(2, columns[REFERRAL_WORKFLOW_HEADERS.RESULT], resultValues.length, 1).setValues(resultValues);
+    
+    // Bring the acted-on rows up to date with UpPromote
+    if (refreshed.length > 0) {
+      upsertDataToSheet(sheet, getReferralHeaders(), refreshed.map(mapReferralRow), { numberFormats: ColumnSchema.forEndpoint('REFERRALS').getNumberFormats() });
+    }
+    
+    Logger.log('Referral actions: ' + JSON.stringify(summary));
+    return summary;
+  } catch (error) {
+    ErrorReporter.logError('submitReferralActions', error, summary);
+    throw error;
+  }
+}
+
+/**
+ * Apply one action to one referral after checking its status is unchanged
+ * Returns { result: submitted|skipped|failed, label, message, referral }
+ */
+function submitReferralAction(apiClient, referralId, action, sheetStatus) {
+  const actionConfig = CONFIG.REFERRAL_ACTIONS[action];
+  if (!actionConfig) {
+    return { result: 'failed', label: 'Failed', message: `Unknown action "${action}"` };
+  }
+  
+  try {
+    const current = fetchReferral(apiClient, referralId);
+    const currentStatus = String(current.status || '');
+    
+    if (currentStatus !== sheetStatus) {
+      return {
+        result: 'skipped',
+        label: 'Skipped',
+        message: `status changed in UpPromote from "${sheetStatus}" to "${currentStatus}" - pull again before acting`,
+        referral: current
+      };
+    }
+    if (currentStatus === actionConfig.status) {
+      return { result: 'skipped', label: 'Skipped', message: `already ${currentStatus}`, referral: current };
+    }
+    
+    // Keyed on the status being left, so the same decision cannot be applied twice
+    const idempotencyKey = `referral-${referralId}-${action.replace(/\s+/g, '-')}-from-${currentStatus}`;
+    const previous = IdempotencyStore.getEntry(idempotencyKey);
+    if (previous) {
+      // Sent before, yet UpPromote still shows the old status: report what the earlier call got back
+      const stored = (previous.result && previous.result.data) || previous.result || {};
+      const sentAt = previous.recordedAt ? ` at ${DataFormatter.formatDate(previous.recordedAt)}` : '';
+      const answer = stored.status ? `UpPromote answered "${stored.status}"` : 'UpPromote accepted it';
+      return {
+        result: 'skipped',
+        label: 'Skipped',
+        message: `${action} was already sent${sentAt} and ${answer}, but it still shows "${currentStatus}" - check the referral in UpPromote`,
+        referral: current
+      };
+    }
+    
+    apiClient.request(actionConfig.method, actionConfig.path.replace('{id}', encodeURIComponent(referralId)), null, {
+      idempotencyKey: idempotencyKey
+    });
+    
+    return {
+      result: 'submitted',
+      label: 'Done',
+      message: `${action} submitted`,
+      referral: fetchReferral(apiClient, referralId)
+    };
+  } catch (error) {
+    if (error instanceof CircuitBreakerOpenError) throw error;
+    
+    const message = error instanceof ApiError ? error.getErrorMessages().join('; ') : error.toString();
+    Logger.log(`Referral ${referralId} ${action} failed: ${message}`);
+    return { result: 'failed', label: 'Failed', message: message };
+  }
+}
+
+/**
+ * Fetch the current state of a single referral
+ */
+function fetchReferral(apiClient, referralId) {
+  const response = apiClient.request('GET', `${CONFIG.ENDPOINTS.REFERRALS}/${encodeURIComponent(referralId)}`);
+  return response.data || response;
+}
+
+// Affiliate Import columns and the API field each one is sent as
+const AFFILIATE_IMPORT_FIELDS = [
+  { header: 'Email', field: 'email' },
+  { header: 'First Name', field: 'first_name' },
+  { header: 'Last Name', field: 'last_name' },
+  { header: 'Company', field: 'company' },
+  { header: 'Address', field: 'address' },
+  { header: 'Country', field: 'country' },
+  { header: 'City', field: 'city' },
+  { header: 'State', field: 'state' },
+  { header: 'Zipcode', field: 'zipcode' },
+  { header: 'Phone', field: 'phone' },
+  { header: 'Facebook', field: 'facebook' },
+  { header: 'YouTube', field: 'youtube' },
+  { header: 'Instagram', field: 'instagram' },
+  { header: 'Twitter', field: 'twitter' },
+  { header: 'Program ID', field: 'program_id' }
+];
+
+/**
+ * Create the Affiliate Import sheet with the importable columns and a Result column
+ * Pass a store profile name to create the store's own import sheet
+ */
+function setupAffiliateImportSheet(storeName) {
+  if (storeName) {
+    return StoreProfiles.run(StoreProfiles.get(storeName), () => setupAffiliateImportSheet());
+  }
+  
+  const headers = AFFILIATE_IMPORT_FIELDS.map(column => column.header).concat('Result');
+  return getOrCreateCommandSheet('Affiliate Import', headers);
+}
+
+/**
+ * Create or update affiliates from the Affiliate Import sheet
+ * Rows are matched to existing affiliates by email using the Affiliates sheet; rows that
+ * already have a Result are left alone, so clear the Result to process a row again
+ * storeName picks a store profile, whose sheets and API key are used
+ */
+function importAffiliates(storeName) {
+  if (storeName) {
+    return StoreProfiles.run(StoreProfiles.get(storeName), () => importAffiliates());
+  }
+  
+  const summary = { created: 0, updated: 0, skipped: 0, failed: 0 };
+  
+  try {
+    const apiClient = ApiClient.fromConfig();
+    const spreadsheet = getOrCreateSpreadsheet();
+    const importSheet = setupAffiliateImportSheet();
+    const affiliatesSheet = getOrCreateSheet(spreadsheet, 'Affiliates');
+    const timestamp = Utilities.formatDate(new Date(), spreadsheet.getSpreadsheetTimeZone(), 'yyyy-MM-dd HH:mm');
+    
+    // Existing affiliates by lower-cased email
+    const existingByEmail = {};
+    ColumnSchema.readRecords('AFFILIATES', affiliatesSheet, ['email']).forEach(affiliate => {
+      if (affiliate.Email) {
+        existingByEmail[String(affiliate.Email).trim().toLowerCase()] = affiliate;
+      }
+    });
+    
+    const seenEmails = {};
+    const changedAffiliates = [];
+    const records = readSheetRecords(importSheet);
+    const results = records.map(record => {
+      if (record.Result !== '' && record.Result !== undefined) {
+        return [record.Result];
+      }
+      if (AFFILIATE_IMPORT_FIELDS.every(column => record[column.header] === '')) {
+        return [''];
+      }
+      
+      const outcome = importAffiliateRow(apiClient, record, existingByEmail, seenEmails);
+      summary[outcome.result]++;
+      if (outcome.affiliate) {
+        changedAffiliates.push(outcome.affiliate);
+        existingByEmail[String(outcome.affiliate.email).toLowerCase()] = mapAffiliateRecord(outcome.affiliate);
+      }
+      return [`${outcome.label}${outcome.message ? ': ' + outcome.message : ''} (${timestamp})`];
+    });
+    
+    if (results.length > 0) {
+      const resultColumn = SheetUpsertWriter.resolveColumns(importSheet, ['Result']).Result;
+      importSheet.getRange(2, resultColumn, results.length, 1).setValues(results);
+    }
+    
+    // Keep the Affiliates sheet in step so the next import deduplicates against these rows
+    if (changedAffiliates.length > 0) {
+      upsertDataToSheet(affiliatesSheet, getAffiliateHeaders(), changedAffiliates.map(mapAffiliateRow), { numberFormats: ColumnSchema.forEndpoint('AFFILIATES').getNumberFormats() });
+    }
+    
+    Logger.log('Affiliate import: ' + JSON.stringify(summary));
+    return summary;
+  } catch (error) {
+    ErrorReporter.logError('importAffiliates', error, summary);
+    throw error;
+  }
+}
+
+/**
+ * Validate one import row and create or update the affiliate it describes
+ * Returns { result: created|updated|skipped|failed, label, message, affiliate }
+ */
+function importAffiliateRow(apiClient, record, existingByEmail, seenEmails) {
+  const email = DataFormatter.sanitizeString(record.Email).toLowerCase();
+  if (!DataFormatter.validateEmail(email)) {
+    return { result: 'failed', label: 'Failed', message: `invalid email "${record.Email}"` };
+  }
+  if (seenEmails[email]) {
+    return { result: 'skipped', label: 'Skipped', message: `duplicate of row ${seenEmails[email]}` };
+  }
+  seenEmails[email] = record.rowNumber;
+  
+  // Only send filled-in cells, so blanks never wipe data in UpPromote
+  const payload = {};
+  AFFILIATE_IMPORT_FIELDS.forEach(column => {
+    const value = DataFormatter.sanitizeString(record[column.header]);
+    if (value !== '') {
+      payload[column.field] = column.field === 'email' ? email : value;
+    }
+  });
+  
+  try {
+    const existing = existingByEmail[email];
+    if (!existing) {
+      const response = apiClient.post(CONFIG.ENDPOINTS.AFFILIATES, payload, { idempotencyKey: 'affiliate-import-' + email });
+      const created = response.data || response;
+      // Without an ID the new affiliate can't be upserted, so it reaches the Affiliates sheet with the next pull
+      return {
+        result: 'created',
+        label: 'Created',
+        message: created.id ? `ID ${created.id}` : 'pull again to add it to the Affiliates sheet',
+        affiliate: created.id ? created : null
+      };
+    }
+    
+    const changes = {};
+    AFFILIATE_IMPORT_FIELDS.forEach(column => {
+      if (column.field in payload && DataFormatter.toComparable(existing[column.header]) !== DataFormatter.toComparable(record[column.header])) {
+        changes[column.field] = payload[column.field];
+      }
+    });
+    delete changes.email;
+    if (Object.keys(changes).length === 0) {
+      return { result: 'skipped', label: 'Skipped', message: `duplicate of affiliate ${existing.ID} with no changes` };
+    }
+    
+    const response = apiClient.put(`${CONFIG.ENDPOINTS.AFFILIATES}/${encodeURIComponent(existing.ID)}`, changes);
+    const updated = response.data || response;
+    return {
+      result: 'updated',
+      label: 'Updated',
+      message: `affiliate ${existing.ID}: ${Object.keys(changes).join(', ')}`,
+      affiliate: updated.id ? updated : null
+    };
+  } catch (error) {
+    if (error instanceof CircuitBreakerOpenError) throw error;
+    
+    const message = error instanceof ApiError ? error.getErrorMessages().join('; ') : error.toString();
+    Logger.log(`Affiliate import for ${email} failed: ${message}`);
+    return { result: 'failed', label: 'Failed', message: message };
+  }
+}
+
+/**
+ * Affiliates sheet record for an API affiliate, keyed by default header as ColumnSchema.readRecords returns it
+ */
+function mapAffiliateRecord(affiliate) {
+  const record = {};
+  COLUMN_SCHEMAS.AFFILIATES.forEach(column => {
+    record[column.header] = ColumnSchema.renderValue(affiliate, column);
+  });
+  return record;
+}
+
+/**
+ * Get or create a sheet that the team fills in, with bold frozen headers
+ */
+function getOrCreateCommandSheet(sheetName, headers) {
+  const sheet = getOrCreateSheet(getOrCreateSpreadsheet(), sheetName);
+  if (sheet.getLastRow() === 0) {
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  } else {
+    SheetUpsertWriter.resolveColumns(sheet, headers);
+  }
+  return sheet;
+}
+
+// Coupon Assignments columns; Code may be a literal code or a pattern such as SUMMER-{first_name}
+const COUPON_ASSIGNMENT_HEADERS = ['Affiliate ID', 'Affiliate Email', 'Code', 'Description', 'Generated Code', 'Result'];
+
+// Codes tried per row when UpPromote rejects a pattern's candidates as duplicates
+const COUPON_CODE_ATTEMPTS = 5;
+
+/**
+ * Create the Coupon Assignments sheet,
+ * or the store profile's own one when storeName is given
+ */
+function setupCouponAssignmentsSheet(storeName) {
+  if (storeName) {
+    return StoreProfiles.run(StoreProfiles.get(storeName), () => setupCouponAssignmentsSheet());
+  }
+  
+  return getOrCreateCommandSheet('Coupon Assignments', COUPON_ASSIGNMENT_HEADERS);
+}
+
+/**
+ * Generate codes for every row of the Coupon Assignments sheet and create the coupons in UpPromote
+ * Patterns can use any affiliate field in braces ({first_name}, {last_name}, {id}, {company}, ...)
+ * and {random}; pattern codes that are already taken get a numeric suffix, literal codes fail
+ * Pass a store profile name to create the coupons in that store from its sheets
+ */
+function assignCoupons(storeName) {
+  if (storeName) {
+    return StoreProfiles.run(StoreProfiles.get(storeName), () => assignCoupons());
+  }
+  
+  const summary = { created: 0, failed: 0 };
+  
+  try {
+    const apiClient = ApiClient.fromConfig();
+    const spreadsheet = getOrCreateSpreadsheet();
+    const assignmentSheet = setupCouponAssignmentsSheet();
+    const couponsSheet = getOrCreateSheet(spreadsheet, 'Coupons');
+    const timestamp = Utilities.formatDate(new Date(), spreadsheet.getSpreadsheetTimeZone(), 'yyyy-MM-dd HH:mm');
+    
+    const affiliates = ColumnSchema.readRecords('AFFILIATES', spreadsheet.getSheetByName(StoreProfiles.getSheetName('Affiliates')), ['email']);
+    const affiliatesById = {};
+    const affiliatesByEmail = {};
+    affiliates.forEach(affiliate => {
+      affiliatesById[String(affiliate.ID)] = affiliate;
+      affiliatesByEmail[String(affiliate.Email).trim().toLowerCase()] = affiliate;
+    });
+    
+    // Codes in use, upper-cased, from the sheet and from UpPromote (coupons made since the last pull);
+    // codes created in this run are added as we go
+    const takenCodes = {};
+    ColumnSchema.readRecords('COUPONS', couponsSheet, ['coupon']).forEach(coupon => {
+      takenCodes[String(coupon['Coupon Code']).toUpperCase()] = true;
+    });
+    apiClient.makeRequest(CONFIG.ENDPOINTS.COUPONS, {}, {
+      onPage: coupons => coupons.forEach(coupon => {
+        if (coupon.coupon) takenCodes[String(coupon.coupon).toUpperCase()] = true;
+      })
+    });
+    
+    const createdCoupons = [];
+    const records = readSheetRecords(assignmentSheet);
+    const output = records.map(record => {
+      if (record.Result !== '' || (record['Affiliate ID'] === '' && record['Affiliate Email'] === '')) {
+        return [record['Generated Code'], record.Result];
+      }
+      
+      const affiliate = record['Affiliate ID'] !== ''
+        ? affiliatesById[String(record['Affiliate ID'])]
+        : affiliatesByEmail[String(record['Affiliate Email']).trim().toLowerCase()];
+      const outcome = assignCouponRow(apiClient, record, affiliate, takenCodes);
+      summary[outcome.result]++;
+      
+      if (outcome.coupon) {
+        createdCoupons.push(outcome.coupon);
+      }
+      return [outcome.code || '', `${outcome.label}${outcome.message ? ': ' + outcome.message : ''} (${timestamp})`];
+    });
+    
+    if (output.length > 0) {
+      const columns = SheetUpsertWriter.resolveColumns(assignmentSheet, ['Generated Code', 'Result']);
+      assignmentSheet.getRange(2, columns['Generated Code'], output.length, 1).setValues(output.map(row => [row[0]]));
+      assignmentSheet.getRange(2, columns.Result, output.length, 1).setValues(output.map(row => [row[1]]));
+    }
+    
+    if (createdCoupons.length > 0) {
+      upsertDataToSheet(couponsSheet, getCouponHeaders(), createdCoupons.map(mapCouponRow), { numberFormats: ColumnSchema.forEndpoint('COUPONS').getNumberFormats() });
+    }
+    
+    Logger.log('Coupon assignment: ' + JSON.stringify(summary));
+    return summary;
+  } catch (error) {
+    ErrorReporter.logError('assignCoupons', error, summary);
+    throw error;
+  }
+}
+
+/**
+ * Generate a unique code for one assignment row and create the coupon
+ * A code UpPromote rejects as a duplicate (e.g. one made in Shopify) is marked taken and the
+ * pattern's next candidate is tried; a code only counts as taken here once it is created
+ * Returns { result: created|failed, label, message, code, coupon }
+ */
+function assignCouponRow(apiClient, record, affiliate, takenCodes) {
+  if (!affiliate) {
+    return { result: 'failed', label: 'Failed', message: 'affiliate not found in the Affiliates sheet' };
+  }
+  
+  const pattern = String(record.Code).trim();
+  if (!pattern) {
+    return { result: 'failed', label: 'Failed', message: 'no code or pattern given' };
+  }
+  
+  for (let attempt = 1; attempt <= COUPON_CODE_ATTEMPTS; attempt++) {
+    let code;
+    try {
+      code = generateCouponCode(pattern, affiliate, takenCodes);
+    } catch (error) {
+      return { result: 'failed', label: 'Failed', message: error.message };
+    }
+    
+    try {
+      const response = apiClient.post(CONFIG.ENDPOINTS.COUPONS, {
+        affiliate_id: affiliate.ID,
+        coupon: code,
+        description: DataFormatter.sanitizeString(record.Description)
+      }, { idempotencyKey: `coupon-${affiliate.ID}-${code}` });
+      takenCodes[code] = true;
+      
+      const created = response.data || response;
+      return {
+        result: 'created',
+        label: 'Created',
+        message: `${code} for affiliate ${affiliate.ID}`,
+        code: code,
+        coupon: created.id ? created : null
+      };
+    } catch (error) {
+      if (error instanceof CircuitBreakerOpenError) throw error;
+      
+      const message = error instanceof ApiError ? error.getErrorMessages().join('; ') : error.toString();
+      Logger.log(`Coupon ${code} for affiliate ${affiliate.ID} failed: ${message}`);
+      if (isDuplicateCouponError(error) && /\{[^}]+\}/.test(pattern)) {
+        takenCodes[code] = true;
+        continue;
+      }
+      return { result: 'failed', label: 'Failed', message: message, code: code };
+    }
+  }
+  return { result: 'failed', label: 'Failed', message: `no free code for pattern "${pattern}" after ${COUPON_CODE_ATTEMPTS} attempts` };
+}
+
+/**
+ * Whether UpPromote refused a coupon because its code is already in use
+ */
+function isDuplicateCouponError(error) {
+  if (!(error instanceof ApiError) || (error.status !== 409 && !error.isValidationError())) {
+    return false;
+  }
+  return error.status === 409 || error.getErrorMessages().some(message => /already|exist|taken|duplicate|unique/i.test(message));
+}
+
+/**
+ * Expand a code pattern for an affiliate and make it unique against takenCodes
+ */
+function generateCouponCode(pattern, affiliate, takenCodes) {
+  const fields = { id: affiliate.ID };
+  AFFILIATE_IMPORT_FIELDS.forEach(column => {
+    fields[column.field] = affiliate[column.header];
+  });
+  
+  const isPattern = /\{[^}]+\}/.test(pattern);
+  const expand = () => pattern.replace(/\{([^}]+)\}/g, (match, name) => {
+    const key = name.trim().toLowerCase();
+    if (key === 'random') {
+      return Math.random().toString(36).slice(2, 6);
+    }
+    if (!(key in fields)) {
+      throw new Error(`unknown placeholder ${match}`);
+    }
+    return fields[key] === undefined ? '' : String(fields[key]);
+  });
+  
+  // Coupon codes are upper-case letters, digits, dashes and underscores
+  const normalize = code => code.replace(/[^A-Za-z0-9_-]/g, '').toUpperCase();
+  const baseCode = normalize(expand());
+  if (!baseCode) {
+    throw new Error(`pattern "${pattern}" produced an empty code`);
+  }
+  if (!takenCodes[baseCode]) {
+    return baseCode;
+  }
+  if (!isPattern) {
+    throw new Error(`code ${baseCode} already exists`);
+  }
+  
+  for (let suffix = 2; suffix < 1000; suffix++) {
+    const candidate = `${baseCode}-${suffix}`;
+    if (!takenCodes[candidate]) {
+      return candidate;
+    }
+  }
+  throw new Error(`no free code for pattern "${pattern}"`);
+}